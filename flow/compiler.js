@@ -1,6 +1,7 @@
 declare type CompilerOptions = {
   warn?: Function; // allow customizing warning in different environments; e.g. node
   modules?: Array<ModuleOptions>; // platform specific modules; e.g. style; class
+  plugins?: Array<CompilerPlugin>; // AST transforms run before optimization
   directives?: { [key: string]: Function }; // platform specific directives
   staticKeys?: string; // a list of AST properties to be considered static; for optimization
   isUnaryTag?: (tag: string) => ?boolean; // check if a tag is unary for the platform
@@ -9,6 +10,9 @@ declare type CompilerOptions = {
   preserveWhitespace?: boolean; // preserve whitespace between elements? (Deprecated)
   whitespace?: 'preserve' | 'condense'; // whitespace handling strategy
   optimize?: boolean; // optimize static content?
+  patchFlags?: boolean; // annotate elements with the parts that can change
+  hoistStatic?: boolean; // share constant data objects between renders
+  cacheHandlers?: boolean; // cache inline event handlers per instance
 
   // web specific
   mustUseProp?: (tag: string, type: ?string, name: string) => boolean; // check if an attribute should be bound as a property
@@ -20,6 +24,9 @@ declare type CompilerOptions = {
   shouldDecodeNewlines?:  boolean;
   shouldDecodeNewlinesForHref?: boolean;
   outputSourceRange?: boolean;
+  sourceMap?: boolean; // generate source maps for render functions, implies outputSourceRange
+  filename?: string; // name of the template source in source maps
+  validate?: TemplateValidateOptions; // check template references against component declarations
 
   // runtime user-configurable
   delimiters?: [string, string]; // template delimiters
@@ -40,6 +47,8 @@ declare type CompiledResult = {
   render: string;
   staticRenderFns: Array<string>;
   stringRenderFns?: Array<string>;
+  map?: Object;
+  staticRenderMaps?: Array<Object>;
   errors?: Array<string | WarningMessage>;
   tips?: Array<string | WarningMessage>;
 };
@@ -53,11 +62,46 @@ declare type ModuleOptions = {
   // transform an AST node after its children have been processed
   // cannot return replacement in postTransform because tree is already finalized
   postTransformNode: (el: ASTElement) => void;
-  genData: (el: ASTElement) => string; // generate extra data string for an element
+  genData: (el: ASTElement, state: Object) => string; // generate extra data string for an element
   transformCode?: (el: ASTElement, code: string) => string; // further transform generated code for an element
   staticKeys?: Array<string>; // AST properties to be considered static
 };
 
+declare type PluginVisitor =
+  | ((node: any, context: any) => void)
+  | {
+    enter?: (node: any, context: any) => void;
+    exit?: (node: any, context: any) => void;
+  };
+
+declare type CompilerPlugin = {
+  name: string;
+  enforce?: 'pre' | 'post';
+  visitor?: {
+    element?: PluginVisitor;
+    text?: PluginVisitor;
+    comment?: PluginVisitor;
+  };
+};
+
+// names are given as arrays or as objects keyed by name, as in component options
+declare type TemplateDeclarations = Array<string> | { [key: string]: any };
+
+declare type TemplateValidateOptions = {
+  props?: TemplateDeclarations;
+  data?: TemplateDeclarations;
+  computed?: TemplateDeclarations;
+  methods?: TemplateDeclarations;
+  inject?: TemplateDeclarations;
+  globals?: Array<string>; // other names available in the template, e.g. from mixins
+  components?: {
+    [name: string]: {
+      props?: TemplateDeclarations;
+      emits?: TemplateDeclarations;
+    }
+  };
+};
+
 declare type ASTModifiers = { [key: string]: boolean };
 declare type ASTIfCondition = { exp: ?string; block: ASTElement };
 declare type ASTIfConditions = Array<ASTIfCondition>;
@@ -126,6 +170,7 @@ declare type ASTElement = {
 
   component?: string;
   inlineTemplate?: true;
+  fragment?: true; // holds the root elements of multi-root templates
   transitionMode?: string | null;
   slotName?: ?string;
   slotTarget?: ?string;
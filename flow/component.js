@@ -41,7 +41,7 @@ declare interface Component {
   $destroy: () => void;
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
-  $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
+  $watch: (expOrFn: string | Function | Array<string | Function>, cb: Function, options?: Object) => Function;
   $on: (event: string | Array<string>, fn: Function) => Component;
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
@@ -69,8 +69,13 @@ declare interface Component {
   _isBeingDestroyed: boolean;
   _vnode: ?VNode; // self root node
   _staticTrees: ?Array<VNode>; // v-once cached trees
+  _cache: Array<Function>; // functions cached by the render code
+  _cacheRender: ?Function;
   _hasHookEvent: boolean;
   _provided: ?Object;
+  _isSuspense?: boolean;
+  _isErrorBoundary?: boolean;
+  _asyncSetup?: Promise<any>; // async created hook awaited by a suspense
   // _virtualComponents?: { [key: string]: Component };
 
   // private methods
@@ -8,6 +8,9 @@ declare interface GlobalAPI {
   set: <T>(target: Object | Array<T>, key: string | number, value: T) => T;
   delete: <T>(target: Object| Array<T>, key: string | number) => void;
   nextTick: (fn: Function, context?: Object) => void | Promise<*>;
+  setNextTickTimer: (timer: ?(flush: Function) => any) => void;
+  flushNextTick: () => void;
+  queuePostFlushCb: (fn: Function) => void;
   use: (plugin: Function | Object) => GlobalAPI;
   mixin: (mixin: Object) => GlobalAPI;
   compile: (template: string) => { render: Function, staticRenderFns: Array<Function> };
@@ -17,6 +20,21 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  reactive: <T: Object>(target: T) => T;
+  shallowReactive: <T: Object>(target: T) => T;
+  readonly: <T: Object>(target: T) => T;
+  isReactive: (value: any) => boolean;
+  isShallow: (value: any) => boolean;
+  isReadonly: (value: any) => boolean;
+  markRaw: <T: Object>(value: T) => T;
+  ref: <T>(value: T) => { value: T };
+  isRef: (r: any) => boolean;
+  unref: (r: any) => any;
+  computed: <T>(getterOrOptions: Function | Object) => { value: T };
+  watchEffect: (effect: Function, options?: Object) => () => void;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: Function) => void;
 
   // allow dynamic method registration
   [key: string]: any
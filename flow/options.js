@@ -45,6 +45,8 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: (e: Object) => void;
+  renderTriggered?: (e: Object) => void;
 
   // assets
   directives?: { [key: string]: Object };
@@ -70,6 +72,7 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  proxyObserver?: boolean;
 
   // private
   _isComponent?: true;
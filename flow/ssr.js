@@ -19,3 +19,9 @@ declare type ComponentContext = {
 };
 
 declare type RenderState = ComponentContext | ComponentWithCacheContext | ElementContext;
+
+// not in the lib definitions of this version of flow
+declare class AbortController {
+  signal: Object;
+  abort(reason?: any): void;
+}
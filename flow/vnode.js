@@ -58,11 +58,19 @@ declare interface VNodeData {
   };
   directives?: Array<VNodeDirective>;
   keepAlive?: boolean;
+  teleport?: {
+    to: string | Element;
+    target: ?Element;
+    disabled: boolean;
+  };
   scopedSlots?: { [key: string]: Function };
   model?: {
     value: any;
     callback: Function;
   };
+  patchFlag?: number;
+  patchKey?: number;
+  dynamicProps?: Array<string>;
 };
 
 declare type VNodeDirective = {
@@ -5,6 +5,11 @@ export declare function createRenderer(options?: RendererOptions): Renderer;
 
 export declare function createBundleRenderer(bundle: string | object, options?: BundleRendererOptions): BundleRenderer;
 
+export declare class RenderAbortedError extends Error {
+  component: string | null;
+  reason?: any;
+}
+
 type RenderCallback = (err: Error | null, html: string) => void;
 
 interface Renderer {
@@ -14,6 +19,8 @@ interface Renderer {
   renderToString(vm: Vue, context: object): Promise<string>;
 
   renderToStream(vm: Vue, context?: object): Readable;
+
+  renderToWebStream(vm: Vue, context?: object): ReadableStream<Uint8Array>;
 }
 
 interface BundleRenderer {
@@ -23,6 +30,8 @@ interface BundleRenderer {
   renderToString(context: object): Promise<string>;
 
   renderToStream(context?: object): Readable;
+
+  renderToWebStream(context?: object): ReadableStream<Uint8Array>;
 }
 
 interface RendererOptions {
@@ -34,6 +43,7 @@ interface RendererOptions {
   directives?: {
     [key: string]: (vnode: VNode, dir: VNodeDirective) => void
   };
+  outOfOrder?: boolean;
 }
 
 interface BundleRendererOptions extends RendererOptions {
@@ -43,8 +53,24 @@ interface BundleRendererOptions extends RendererOptions {
   basedir?: string;
 }
 
+interface CachedComponent {
+  html: string;
+  components: Set<Function>;
+  tags: string[];
+}
+
 interface RenderCache {
-  get: (key: string, cb?: (res: string) => void) => string | void;
-  set: (key: string, val: string) => void;
-  has?: (key: string, cb?: (hit: boolean) => void) => boolean | void;
+  get: (key: string, cb?: (res: CachedComponent | undefined) => void) => CachedComponent | void | Promise<CachedComponent | undefined>;
+  set: (key: string, val: CachedComponent, ttl?: number) => void | Promise<void>;
+  has?: (key: string, cb?: (hit: boolean) => void) => boolean | void | Promise<boolean>;
+}
+
+export declare class LRUCache implements RenderCache {
+  constructor(options?: { max?: number; ttl?: number });
+  get(key: string): CachedComponent | undefined;
+  set(key: string, val: CachedComponent, ttl?: number): void;
+  has(key: string): boolean;
+  delete(key: string): void;
+  invalidate(tags: string | string[]): void;
+  clear(): void;
 }
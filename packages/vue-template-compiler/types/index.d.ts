@@ -5,10 +5,32 @@ import Vue, { VNode } from "vue"
  */
 interface CompilerOptions {
   modules?: ModuleOptions[];
+  plugins?: CompilerPlugin[];
   directives?: Record<string, DirectiveFunction>;
   preserveWhitespace?: boolean;
   whitespace?: 'preserve' | 'condense';
   outputSourceRange?: any
+  sourceMap?: boolean;
+  filename?: string;
+  patchFlags?: boolean;
+  hoistStatic?: boolean;
+  cacheHandlers?: boolean;
+  validate?: TemplateValidateOptions;
+}
+
+type TemplateDeclarations = string[] | Record<string, any>;
+
+export interface TemplateValidateOptions {
+  props?: TemplateDeclarations;
+  data?: TemplateDeclarations;
+  computed?: TemplateDeclarations;
+  methods?: TemplateDeclarations;
+  inject?: TemplateDeclarations;
+  globals?: string[];
+  components?: Record<string, {
+    props?: TemplateDeclarations;
+    emits?: TemplateDeclarations;
+  }>;
 }
 
 interface CompilerOptionsWithSourceRange extends CompilerOptions {
@@ -21,12 +43,22 @@ interface ErrorWithRange {
   end: number;
 }
 
+interface SourceMap {
+  version: number;
+  sources: string[];
+  sourcesContent: string[];
+  names: string[];
+  mappings: string;
+}
+
 interface CompiledResult<ErrorType> {
   ast: ASTElement | undefined;
   render: string;
   staticRenderFns: string[];
   errors: ErrorType[];
   tips: ErrorType[];
+  map?: SourceMap;
+  staticRenderMaps?: SourceMap[];
 }
 
 interface CompiledResultFunctions {
@@ -38,13 +70,54 @@ interface ModuleOptions {
   preTransformNode: (el: ASTElement) => ASTElement | undefined;
   transformNode: (el: ASTElement) => ASTElement | undefined;
   postTransformNode: (el: ASTElement) => void;
-  genData: (el: ASTElement) => string;
+  genData: (el: ASTElement, state: object) => string;
   transformCode?: (el: ASTElement, code: string) => string;
   staticKeys?: string[];
 }
 
 type DirectiveFunction = (node: ASTElement, directiveMeta: ASTDirective) => void;
 
+/*
+ * Compiler plugins
+ */
+export interface CompilerPluginContext<Node extends ASTNode = ASTNode> {
+  node: Node;
+  parent: ASTElement | undefined;
+  warn(msg: string, range?: { start?: number; end?: number }): void;
+  tip(msg: string, range?: { start?: number; end?: number }): void;
+  parse(template: string): ASTElement | undefined;
+  remove(): void;
+  replace(nodes: ASTNode | ASTNode[]): void;
+  insertBefore(nodes: ASTNode | ASTNode[]): void;
+  insertAfter(nodes: ASTNode | ASTNode[]): void;
+  getDirective(name: string): ASTDirective | undefined;
+  addDirective(dir: {
+    name: string;
+    value?: string;
+    arg?: string;
+    modifiers?: ASTModifiers;
+  }): void;
+  removeDirective(name: string): void;
+}
+
+type PluginVisitorFunction<Node extends ASTNode> =
+  (node: Node, context: CompilerPluginContext<Node>) => void;
+
+export type PluginVisitor<Node extends ASTNode> = PluginVisitorFunction<Node> | {
+  enter?: PluginVisitorFunction<Node>;
+  exit?: PluginVisitorFunction<Node>;
+};
+
+export interface CompilerPlugin {
+  name: string;
+  enforce?: 'pre' | 'post';
+  visitor?: {
+    element?: PluginVisitor<ASTElement>;
+    text?: PluginVisitor<ASTText | ASTExpression>;
+    comment?: PluginVisitor<ASTText>;
+  };
+}
+
 /*
  * AST Types
  */
@@ -224,7 +297,10 @@ export function compile(
   options?: CompilerOptions
 ): CompiledResult<string>;
 
-export function compileToFunctions(template: string): CompiledResultFunctions;
+export function compileToFunctions(
+  template: string,
+  options?: CompilerOptions
+): CompiledResultFunctions;
 
 export function ssrCompile(
   template: string,
@@ -236,7 +312,10 @@ export function ssrCompile(
   options?: CompilerOptions
 ): CompiledResult<string>;
 
-export function ssrCompileToFunctions(template: string): CompiledResultFunctions;
+export function ssrCompileToFunctions(
+  template: string,
+  options?: CompilerOptions
+): CompiledResultFunctions;
 
 export function parseComponent(
   file: string,
@@ -5,7 +5,8 @@ import {
   ssrCompile,
   ssrCompileToFunctions,
   parseComponent,
-  generateCodeFrame
+  generateCodeFrame,
+  CompilerPlugin
 } from "./";
 
 // check compile options
@@ -13,6 +14,9 @@ const compiled = compile("<div>hi</div>", {
   outputSourceRange: true,
   preserveWhitespace: false,
   whitespace: 'condense',
+  patchFlags: true,
+  hoistStatic: true,
+  cacheHandlers: true,
   modules: [
     {
       preTransformNode: el => el,
@@ -61,6 +65,53 @@ errors3.forEach(e => {
   console.log(e.length)
 })
 
+// source maps
+const { map, staticRenderMaps } = compile("<div>hi</div>", {
+  sourceMap: true,
+  filename: "App.vue"
+});
+if (map) {
+  console.log(map.version, map.sources[0], map.mappings);
+}
+if (staticRenderMaps) {
+  staticRenderMaps.forEach(m => m.mappings);
+}
+
+// compiler plugins
+const removeTestIds: CompilerPlugin = {
+  name: "remove-test-ids",
+  enforce: "post",
+  visitor: {
+    element(el, context) {
+      if (el.attrsMap["data-test"] !== undefined) {
+        context.warn(`<${el.tag}> is removed.`);
+        context.remove();
+      }
+    },
+    text: {
+      exit(node, context) {
+        if (node.type === 3 && !node.text.trim()) {
+          context.replace(context.parse("<span></span>")!);
+        }
+      }
+    }
+  }
+};
+compileToFunctions("<div>hi</div>", { plugins: [removeTestIds] });
+
+// template validation
+compile("<div :title=\"title\">{{ count }}</div>", {
+  validate: {
+    props: { title: String },
+    data: ["count"],
+    methods: ["increment"],
+    globals: ["fromMixin"],
+    components: {
+      MyButton: { props: ["size"], emits: ["click"] }
+    }
+  }
+});
+
 const compiledFns = compileToFunctions("<div>hi</div>");
 
 // can be passed to component render / staticRenderFns options
@@ -1,6 +1,11 @@
 /* @flow */
 
-const fnExpRE = /^([\w$_]+|\([^)]*?\))\s*=>|^function(?:\s+[\w$]+)?\s*\(/
+import { genLoc } from './source-map'
+import { genCached } from './index'
+
+import type { CodegenState } from './index'
+
+export const fnExpRE = /^([\w$_]+|\([^)]*?\))\s*=>|^function(?:\s+[\w$]+)?\s*\(/
 const fnInvokeRE = /\([^)]*?\);*$/
 const simplePathRE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\['[^']*?']|\["[^"]*?"]|\[\d+]|\[[A-Za-z_$][\w$]*])*$/
 
@@ -54,17 +59,25 @@ const modifierCode: { [key: string]: string } = {
 
 export function genHandlers (
   events: ASTElementHandlers,
-  isNative: boolean
+  isNative: boolean,
+  state?: CodegenState,
+  cache?: boolean
 ): string {
   const prefix = isNative ? 'nativeOn:' : 'on:'
   let staticHandlers = ``
   let dynamicHandlers = ``
   for (const name in events) {
-    const handlerCode = genHandler(events[name])
-    if (events[name] && events[name].dynamic) {
-      dynamicHandlers += `${name},${handlerCode},`
+    const handler = events[name]
+    let handlerCode = genHandler(handler)
+    // method handlers are already bound to the instance
+    if (cache && state && !isMethodHandler(handler)) {
+      handlerCode = genCached(handlerCode, state)
+    }
+    const loc = state ? genLoc(Array.isArray(handler) ? handler[0] : handler, state) : ''
+    if (handler && handler.dynamic) {
+      dynamicHandlers += `${loc}${name},${handlerCode},`
     } else {
-      staticHandlers += `"${name}":${handlerCode},`
+      staticHandlers += `${loc}"${name}":${handlerCode},`
     }
   }
   staticHandlers = `{${staticHandlers.slice(0, -1)}}`
@@ -75,6 +88,10 @@ export function genHandlers (
   }
 }
 
+function isMethodHandler (handler: ASTElementHandler | Array<ASTElementHandler>): boolean {
+  return !Array.isArray(handler) && !handler.modifiers && simplePathRE.test(handler.value)
+}
+
 // Generate handler code with binding params on Weex
 /* istanbul ignore next */
 function genWeexHandler (params: Array<any>, handlerCode: string) {
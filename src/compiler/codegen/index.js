@@ -1,13 +1,17 @@
 /* @flow */
 
-import { genHandlers } from './events'
+import { genHandlers, fnExpRE } from './events'
 import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 import { baseWarn, pluckModuleFunction } from '../helpers'
 import { emptySlotScopeToken } from '../parser/index'
+import { genLoc, createSourceMap } from './source-map'
+
+import type { SourceMap } from './source-map'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
-type DataGenFunction = (el: ASTElement) => string;
+type DataGenFunction = (el: ASTElement, state: CodegenState) => string;
 type DirectiveFunction = (el: ASTElement, dir: ASTDirective, warn: Function) => boolean;
 
 export class CodegenState {
@@ -20,6 +24,12 @@ export class CodegenState {
   onceId: number;
   staticRenderFns: Array<string>;
   pre: boolean;
+  sourceMap: boolean;
+  patchFlags: boolean;
+  hoistStatic: boolean;
+  hoisted: { [code: string]: number };
+  cacheHandlers: boolean;
+  cacheIndex: number;
 
   constructor (options: CompilerOptions) {
     this.options = options
@@ -32,23 +42,60 @@ export class CodegenState {
     this.onceId = 0
     this.staticRenderFns = []
     this.pre = false
+    this.sourceMap = !!options.sourceMap
+    this.patchFlags = !!options.patchFlags
+    this.hoistStatic = !!options.hoistStatic
+    this.hoisted = {}
+    this.cacheHandlers = !!options.cacheHandlers
+    this.cacheIndex = 0
   }
 }
 
 export type CodegenResult = {
   render: string,
-  staticRenderFns: Array<string>
+  staticRenderFns: Array<string>,
+  map?: SourceMap,
+  staticRenderMaps?: Array<SourceMap>
 };
 
+/**
+ * With the `sourceMap` option, the source of the template the AST was
+ * parsed from must be passed as well, so that the generated code can be
+ * mapped back to template lines and columns.
+ */
 export function generate (
   ast: ASTElement | void,
-  options: CompilerOptions
+  options: CompilerOptions,
+  template?: string
 ): CodegenResult {
   const state = new CodegenState(options)
   // fix #11483, Root level <script> tags should not be rendered.
   const code = ast ? (ast.tag === 'script' ? 'null' : genElement(ast, state)) : '_c("div")'
+  return createCodegenResult(`with(this){return ${code}}`, state, options, template)
+}
+
+// strips the location markers of the generated code into source maps, also
+// used by the SSR codegen
+export function createCodegenResult (
+  render: string,
+  state: CodegenState,
+  options: CompilerOptions,
+  template?: string
+): CodegenResult {
+  if (state.sourceMap && template != null) {
+    const filename = options.filename || 'template.html'
+    const source = template
+    const mapped = createSourceMap(render, source, filename)
+    const mappedStatic = state.staticRenderFns.map(code => createSourceMap(code, source, filename))
+    return {
+      render: mapped.code,
+      staticRenderFns: mappedStatic.map(res => res.code),
+      map: mapped.map,
+      staticRenderMaps: mappedStatic.map(res => res.map)
+    }
+  }
   return {
-    render: `with(this){return ${code}}`,
+    render,
     staticRenderFns: state.staticRenderFns
   }
 }
@@ -77,12 +124,16 @@ export function genElement (el: ASTElement, state: CodegenState): string {
       code = genComponent(el.component, el, state)
     } else {
       let data
-      if (!el.plain || (el.pre && state.maybeComponent(el))) {
+      if (
+        !el.plain ||
+        (el.pre && state.maybeComponent(el)) ||
+        needsPatchFlag(el, state)
+      ) {
         data = genData(el, state)
       }
 
       const children = el.inlineTemplate ? null : genChildren(el, state, true)
-      code = `_c('${el.tag}'${
+      code = `${genLoc(el, state)}_c('${el.tag}'${
         data ? `,${data}` : '' // data
       }${
         children ? `,${children}` : '' // children
@@ -164,8 +215,12 @@ function genIfConditions (
   }
 
   const condition = conditions.shift()
+  const rawAttrsMap = condition.block.rawAttrsMap
+  const loc = rawAttrsMap
+    ? genLoc(rawAttrsMap['v-if'] || rawAttrsMap['v-else-if'], state)
+    : ''
   if (condition.exp) {
-    return `(${condition.exp})?${
+    return `${loc}(${condition.exp})?${
       genTernaryExp(condition.block)
     }:${
       genIfConditions(conditions, state, altGen, altEmpty)
@@ -211,7 +266,7 @@ export function genFor (
   }
 
   el.forProcessed = true // avoid recursion
-  return `${altHelper || '_l'}((${exp}),` +
+  return `${genLoc(el.rawAttrsMap && el.rawAttrsMap['v-for'], state)}${altHelper || '_l'}((${exp}),` +
     `function(${alias}${iterator1}${iterator2}){` +
       `return ${(altGen || genElement)(el, state)}` +
     '})'
@@ -246,22 +301,23 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // module data generation functions
   for (let i = 0; i < state.dataGenFns.length; i++) {
-    data += state.dataGenFns[i](el)
+    data += state.dataGenFns[i](el, state)
   }
+  const cache = canCacheHandlers(el, state)
   // attributes
   if (el.attrs) {
-    data += `attrs:${genProps(el.attrs)},`
+    data += `attrs:${genConstantProps(el, el.attrs, state, cache)},`
   }
   // DOM props
   if (el.props) {
-    data += `domProps:${genProps(el.props)},`
+    data += `domProps:${genConstantProps(el, el.props, state, cache)},`
   }
   // event handlers
   if (el.events) {
-    data += `${genHandlers(el.events, false)},`
+    data += `${genHandlers(el.events, false, state, cache)},`
   }
   if (el.nativeEvents) {
-    data += `${genHandlers(el.nativeEvents, true)},`
+    data += `${genHandlers(el.nativeEvents, true, state, cache)},`
   }
   // slot target
   // only for non-scoped slots
@@ -289,12 +345,16 @@ export function genData (el: ASTElement, state: CodegenState): string {
       data += `${inlineTemplate},`
     }
   }
+  // patch flags
+  if (needsPatchFlag(el, state)) {
+    data += genPatchFlag(el, data, state)
+  }
   data = data.replace(/,$/, '') + '}'
   // v-bind dynamic argument wrap
   // v-bind with dynamic arguments must be applied using the same v-bind object
   // merge helper so that class/style/mustUseProp attrs are handled correctly.
   if (el.dynamicAttrs) {
-    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs)})`
+    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs, state)})`
   }
   // v-bind data wrap
   if (el.wrapData) {
@@ -307,6 +367,125 @@ export function genData (el: ASTElement, state: CodegenState): string {
   return data
 }
 
+// Patch flags are only generated for plain elements: the data of
+// components and v-bind objects can contain anything.
+function needsPatchFlag (el: ASTElement, state: CodegenState): boolean {
+  return state.patchFlags && !el.pre && !el.wrapData && !state.maybeComponent(el)
+}
+
+function genPatchFlag (el: ASTElement, data: string, state: CodegenState): string {
+  let flag = 0
+  if (el.classBinding) {
+    flag |= PatchFlags.CLASS
+  }
+  if (el.styleBinding) {
+    flag |= PatchFlags.STYLE
+  }
+  // dynamic arguments can also bind class and style
+  if (el.dynamicAttrs) {
+    flag |= PatchFlags.CLASS | PatchFlags.STYLE | PatchFlags.FULL_PROPS
+  }
+  const dynamicProps = []
+  ;(el.attrs || []).concat(el.props || []).forEach(prop => {
+    if (prop.dynamic) {
+      flag |= PatchFlags.FULL_PROPS
+    } else if (!isConstant(prop.value)) {
+      dynamicProps.push(prop.name)
+    }
+  })
+  if (dynamicProps.length) {
+    flag |= PatchFlags.PROPS
+  }
+  if (el.children.length === 1) {
+    const child = el.children[0]
+    if (child.type === 2) {
+      flag |= PatchFlags.TEXT
+    } else if (child.type === 1 && child.for && child.tag !== 'template' && child.tag !== 'slot') {
+      flag |= child.key ? PatchFlags.KEYED_FRAGMENT : PatchFlags.UNKEYED_FRAGMENT
+    }
+  }
+  // Elements rendered from different places of a template can be patched
+  // against each other (e.g. unkeyed v-if branches). The flags only hold
+  // when both vnodes were generated from the same data code.
+  return `patchFlag:${flag},${
+    dynamicProps.length
+      ? `dynamicProps:${genHoisted(el, JSON.stringify(dynamicProps), state)},`
+      : ''
+  }patchKey:${hash(data)},`
+}
+
+/**
+ * With the `hoistStatic` option, constant data objects of plain elements
+ * are created once per compiled template and shared by all renders and
+ * instances, instead of being re-allocated on every render. They are
+ * generated as extra static render fns and read with `_a(index)`.
+ */
+export function genHoisted (el: ASTElement, code: string, state: CodegenState): string {
+  // the data of components, v-bind objects and dynamic arguments is
+  // mutated at runtime
+  if (
+    !state.hoistStatic ||
+    state.maybeComponent(el) ||
+    el.wrapData ||
+    el.dynamicAttrs
+  ) {
+    return code
+  }
+  let index = state.hoisted[code]
+  if (index === undefined) {
+    index = state.hoisted[code] = state.staticRenderFns.length
+    state.staticRenderFns.push(`return ${code}`)
+  }
+  return `_a(${index})`
+}
+
+function genConstantProps (
+  el: ASTElement,
+  props: Array<ASTAttr>,
+  state: CodegenState,
+  cache: boolean
+): string {
+  const code = genProps(props, state, cache)
+  return props.every(prop => !prop.dynamic && isConstant(prop.value))
+    ? genHoisted(el, code, state)
+    : code
+}
+
+// Inline handlers can only be cached per instance when they cannot use
+// variables of a v-for or slot scope.
+function canCacheHandlers (el: ASTElement, state: CodegenState): boolean {
+  if (!state.cacheHandlers) {
+    return false
+  }
+  let node = el
+  while (node) {
+    if (node.for || node.slotScope) {
+      return false
+    }
+    node = node.parent
+  }
+  return true
+}
+
+/**
+ * Cache a function created in the render code on the instance, so that
+ * the same function is passed to the vdom on each render.
+ */
+export function genCached (code: string, state: CodegenState): string {
+  const index = state.cacheIndex++
+  return `_cache[${index}]||(_cache[${index}]=${code})`
+}
+
+// check if a binding value is a literal, e.g. a static attribute
+function isConstant (value: string): boolean {
+  try {
+    JSON.parse(value)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
 function genDirectives (el: ASTElement, state: CodegenState): string | void {
   const dirs = el.directives
   if (!dirs) return
@@ -324,7 +503,7 @@ function genDirectives (el: ASTElement, state: CodegenState): string | void {
     }
     if (needRuntime) {
       hasRuntime = true
-      res += `{name:"${dir.name}",rawName:"${dir.rawName}"${
+      res += `${genLoc(dir, state)}{name:"${dir.name}",rawName:"${dir.rawName}"${
         dir.value ? `,value:(${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
       }${
         dir.arg ? `,arg:${dir.isDynamicArg ? dir.arg : `"${dir.arg}"`}` : ''
@@ -527,9 +706,9 @@ function genNode (node: ASTNode, state: CodegenState): string {
   if (node.type === 1) {
     return genElement(node, state)
   } else if (node.type === 3 && node.isComment) {
-    return genComment(node)
+    return genLoc(node, state) + genComment(node)
   } else {
-    return genText(node)
+    return genLoc(node, state) + genText(node)
   }
 }
 
@@ -547,7 +726,7 @@ export function genComment (comment: ASTText): string {
 function genSlot (el: ASTElement, state: CodegenState): string {
   const slotName = el.slotName || '"default"'
   const children = genChildren(el, state)
-  let res = `_t(${slotName}${children ? `,function(){return ${children}}` : ''}`
+  let res = `${genLoc(el, state)}_t(${slotName}${children ? `,function(){return ${children}}` : ''}`
   const attrs = el.attrs || el.dynamicAttrs
     ? genProps((el.attrs || []).concat(el.dynamicAttrs || []).map(attr => ({
         // slot props are camelized
@@ -576,23 +755,32 @@ function genComponent (
   state: CodegenState
 ): string {
   const children = el.inlineTemplate ? null : genChildren(el, state, true)
-  return `_c(${componentName},${genData(el, state)}${
+  return `${genLoc(el, state)}_c(${componentName},${genData(el, state)}${
     children ? `,${children}` : ''
   })`
 }
 
-function genProps (props: Array<ASTAttr>): string {
+function genProps (
+  props: Array<ASTAttr>,
+  state?: CodegenState,
+  cache?: boolean
+): string {
   let staticProps = ``
   let dynamicProps = ``
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
-    const value = __WEEX__
+    let value = __WEEX__
       ? generateValue(prop.value)
       : transformSpecialNewlines(prop.value)
+    // functions passed as props, e.g. callbacks for child components
+    if (cache && state && fnExpRE.test(value)) {
+      value = genCached(value, state)
+    }
+    const loc = state ? genLoc(prop, state) : ''
     if (prop.dynamic) {
-      dynamicProps += `${prop.name},${value},`
+      dynamicProps += `${loc}${prop.name},${value},`
     } else {
-      staticProps += `"${prop.name}":${value},`
+      staticProps += `${loc}"${prop.name}":${value},`
     }
   }
   staticProps = `{${staticProps.slice(0, -1)}}`
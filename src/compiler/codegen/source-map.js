@@ -0,0 +1,153 @@
+/* @flow */
+
+export type SourceMap = {
+  version: number;
+  sources: Array<string>;
+  sourcesContent: Array<string>;
+  names: Array<string>;
+  mappings: string;
+};
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// Location markers are emitted around the template offset of an AST node
+// while generating code, and stripped when the source map is built. They
+// cannot collide with generated code because string literals in the
+// generated code are always JSON encoded.
+const markerRE = /\u0000(\d+)\u0001/g // eslint-disable-line no-control-regex
+
+/**
+ * Mark the start of the code generated for an AST node. The parser only
+ * records node positions with `outputSourceRange` in development builds.
+ */
+export function genLoc (
+  node: ?{ start?: number },
+  state: { sourceMap: boolean }
+): string {
+  return state.sourceMap && node && node.start != null
+    ? `\u0000${node.start}\u0001`
+    : ''
+}
+
+/**
+ * Strip the location markers from generated code and build a source map
+ * (v3) mapping each marked position back to its template line/column.
+ */
+export function createSourceMap (
+  code: string,
+  template: string,
+  filename: string
+): { code: string, map: SourceMap } {
+  const lineStarts = [0]
+  for (let i = 0; i < template.length; i++) {
+    if (template.charCodeAt(i) === 10 /* \n */) {
+      lineStarts.push(i + 1)
+    }
+  }
+
+  let output = ''
+  let mappings = ''
+  let genColumn = 0
+  let lastGenColumn = 0
+  let lastLine = 0
+  let lastColumn = 0
+  let lineHasSegment = false
+  let lastIndex = 0
+
+  const advance = (chunk: string) => {
+    output += chunk
+    for (let i = 0; i < chunk.length; i++) {
+      if (chunk.charCodeAt(i) === 10 /* \n */) {
+        mappings += ';'
+        genColumn = lastGenColumn = 0
+        lineHasSegment = false
+      } else {
+        genColumn++
+      }
+    }
+  }
+
+  let match
+  markerRE.lastIndex = 0
+  while ((match = markerRE.exec(code))) {
+    advance(code.slice(lastIndex, match.index))
+    lastIndex = markerRE.lastIndex
+    // keep the outermost node when several start at the same position
+    if (lineHasSegment && genColumn === lastGenColumn) {
+      continue
+    }
+    const offset = Number(match[1])
+    const line = findLine(lineStarts, offset)
+    const column = offset - lineStarts[line]
+    mappings += (lineHasSegment ? ',' : '') +
+      encodeVLQ(genColumn - lastGenColumn) +
+      encodeVLQ(0) + // source index, there is only one
+      encodeVLQ(line - lastLine) +
+      encodeVLQ(column - lastColumn)
+    lineHasSegment = true
+    lastGenColumn = genColumn
+    lastLine = line
+    lastColumn = column
+  }
+  advance(code.slice(lastIndex))
+
+  return {
+    code: output,
+    map: {
+      version: 3,
+      sources: [filename],
+      sourcesContent: [template],
+      names: [],
+      mappings
+    }
+  }
+}
+
+function findLine (lineStarts: Array<number>, offset: number): number {
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (lineStarts[mid] <= offset) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return low
+}
+
+function encodeVLQ (value: number): string {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1
+  let res = ''
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) {
+      digit |= 32
+    }
+    res += BASE64_CHARS[digit]
+  } while (vlq > 0)
+  return res
+}
+
+/**
+ * Base64 encode a string as UTF-8, without relying on btoa or Buffer.
+ */
+export function encodeBase64 (str: string): string {
+  const bytes = encodeURIComponent(str).replace(
+    /%([0-9A-F]{2})/g,
+    (_, hex) => String.fromCharCode(parseInt(hex, 16))
+  )
+  let res = ''
+  for (let i = 0; i < bytes.length; i += 3) {
+    const a = bytes.charCodeAt(i)
+    const b = i + 1 < bytes.length ? bytes.charCodeAt(i + 1) : 0
+    const c = i + 2 < bytes.length ? bytes.charCodeAt(i + 2) : 0
+    res += BASE64_CHARS[a >> 2] +
+      BASE64_CHARS[((a & 3) << 4) | (b >> 4)] +
+      (i + 1 < bytes.length ? BASE64_CHARS[((b & 15) << 2) | (c >> 6)] : '=') +
+      (i + 2 < bytes.length ? BASE64_CHARS[c & 63] : '=')
+  }
+  return res
+}
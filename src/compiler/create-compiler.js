@@ -2,6 +2,7 @@
 
 import { extend } from 'shared/util'
 import { detectErrors } from './error-detector'
+import { validateTemplate } from './validator'
 import { createCompileToFunctionFn } from './to-function'
 
 export function createCompilerCreator (baseCompile: Function): Function {
@@ -57,10 +58,25 @@ export function createCompilerCreator (baseCompile: Function): Function {
       }
 
       finalOptions.warn = warn
+      const hasRanges = !!finalOptions.outputSourceRange
+      // source maps and validation need the positions of AST nodes
+      if (finalOptions.sourceMap || finalOptions.validate) {
+        finalOptions.outputSourceRange = true
+      }
 
-      const compiled = baseCompile(template.trim(), finalOptions)
+      const source = template.trim()
+      const compiled = baseCompile(source, finalOptions)
       if (process.env.NODE_ENV !== 'production') {
         detectErrors(compiled.ast, warn)
+        if (finalOptions.validate) {
+          // without ranges in the errors, the code frames go in the messages
+          validateTemplate(
+            compiled.ast,
+            finalOptions.validate,
+            warn,
+            hasRanges ? undefined : source
+          )
+        }
       }
       compiled.errors = errors
       compiled.tips = tips
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { parse } from './parser/index'
+import { runPlugins } from './plugins'
 import { optimize } from './optimizer'
 import { generate } from './codegen/index'
 import { createCompilerCreator } from './create-compiler'
@@ -12,14 +13,17 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   template: string,
   options: CompilerOptions
 ): CompiledResult {
-  const ast = parse(template.trim(), options)
+  template = template.trim()
+  const ast = runPlugins(parse(template, options), options)
   if (options.optimize !== false) {
     optimize(ast, options)
   }
-  const code = generate(ast, options)
+  const code = generate(ast, options, template)
   return {
     ast,
     render: code.render,
-    staticRenderFns: code.staticRenderFns
+    staticRenderFns: code.staticRenderFns,
+    map: code.map,
+    staticRenderMaps: code.staticRenderMaps
   }
 })
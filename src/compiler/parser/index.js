@@ -101,7 +101,8 @@ export function parse (
   const stack = []
   const preserveWhitespace = options.preserveWhitespace !== false
   const whitespaceOption = options.whitespace
-  let root
+  // holds the root elements, multiple roots are rendered as a fragment
+  const fragment = createASTElement('template', [], undefined)
   let currentParent
   let inVPre = false
   let inPre = false
@@ -120,23 +121,11 @@ export function parse (
       element = processElement(element, options)
     }
     // tree management
-    if (!stack.length && element !== root) {
-      // allow root elements with v-if, v-else-if and v-else
-      if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
-        }
-        addIfCondition(root, {
-          exp: element.elseif,
-          block: element
-        })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+    if (!stack.length) {
+      if (element.elseif || element.else) {
+        processIfConditions(element, fragment)
+      } else {
+        fragment.children.push(element)
       }
     }
     if (currentParent && !element.forbidden) {
@@ -188,23 +177,6 @@ export function parse (
     }
   }
 
-  function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
-        'contain multiple nodes.',
-        { start: el.start }
-      )
-    }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      warnOnce(
-        'Cannot use v-for on stateful component root element because ' +
-        'it renders multiple elements.',
-        el.rawAttrsMap['v-for']
-      )
-    }
-  }
-
   parseHTML(template, {
     warn,
     expectHTML: options.expectHTML,
@@ -286,13 +258,6 @@ export function parse (
         processOnce(element)
       }
 
-      if (!root) {
-        root = element
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(root)
-        }
-      }
-
       if (!unary) {
         currentParent = element
         stack.push(element)
@@ -400,7 +365,14 @@ export function parse (
       }
     }
   })
-  return root
+
+  const roots: Array<any> = fragment.children
+  if (roots.length > 1) {
+    fragment.fragment = true
+    roots.forEach(el => { el.parent = fragment })
+    return fragment
+  }
+  return roots[0]
 }
 
 function processPre (el) {
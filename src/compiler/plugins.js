@@ -0,0 +1,301 @@
+/* @flow */
+
+import { parse } from './parser/index'
+import { addDirective, baseWarn } from './helpers'
+
+type Range = { start?: number, end?: number };
+
+const enforceOrder = { pre: 0, post: 2 }
+
+/**
+ * Run the AST transforms of the compiler `plugins` option, after the
+ * template is parsed and before it is optimized. Plugins run one after
+ * another: `enforce: 'pre'` plugins first, then normal ones, then
+ * `enforce: 'post'` ones, each group in the order they were passed in.
+ * Returns the (possibly replaced) root element.
+ */
+export function runPlugins (
+  ast: ASTElement | void,
+  options: CompilerOptions
+): ASTElement | void {
+  const plugins = options.plugins
+  if (!ast || !plugins || !plugins.length) {
+    return ast
+  }
+  const sorted = plugins
+    .map((plugin, i) => ({ plugin, i }))
+    .sort((a, b) => (
+      getEnforceOrder(a.plugin) - getEnforceOrder(b.plugin) || a.i - b.i
+    ))
+    .map(entry => entry.plugin)
+
+  let root = ast
+  for (let i = 0; i < sorted.length; i++) {
+    const plugin = sorted[i]
+    const list = [root]
+    traverseList(list, undefined, plugin, options)
+    if (list.length === 1 && list[0].type === 1) {
+      root = list[0]
+    } else {
+      getWarn(options)(
+        `[${plugin.name}] The root of the template must remain a single element.`
+      )
+    }
+  }
+  return root
+}
+
+function getEnforceOrder (plugin: CompilerPlugin): number {
+  const order = plugin.enforce && enforceOrder[plugin.enforce]
+  return order != null ? order : 1
+}
+
+function getWarn (options: CompilerOptions): Function {
+  return options.warn || baseWarn
+}
+
+/**
+ * The context passed to plugin visitors, to inspect the surroundings of
+ * the visited node and to remove, replace or insert nodes.
+ */
+export class PluginContext {
+  node: ASTNode;
+  parent: ASTElement | void;
+  index: number;
+  removed: boolean;
+  chainOwner: ASTElement | void;
+  plugin: CompilerPlugin;
+  options: CompilerOptions;
+  container: Array<ASTNode>;
+
+  constructor (
+    node: ASTNode,
+    parent: ASTElement | void,
+    container: Array<ASTNode>,
+    index: number,
+    plugin: CompilerPlugin,
+    options: CompilerOptions
+  ) {
+    this.node = node
+    this.parent = parent
+    this.container = container
+    this.index = index
+    this.removed = false
+    this.chainOwner = undefined
+    this.plugin = plugin
+    this.options = options
+  }
+
+  /**
+   * Report a compile error, pointing at the visited node by default.
+   * Errors are returned in the `errors` of the compiled result.
+   */
+  warn (msg: string, range?: Range) {
+    this.report(msg, range, false)
+  }
+
+  /**
+   * Report a tip, returned in the `tips` of the compiled result.
+   */
+  tip (msg: string, range?: Range) {
+    this.report(msg, range, true)
+  }
+
+  report (msg: string, range?: Range, tip: boolean) {
+    const node: any = range || this.node
+    getWarn(this.options)(`[${this.plugin.name}] ${msg}`, {
+      start: node.start,
+      end: node.end
+    }, tip)
+  }
+
+  /**
+   * Parse a template snippet with the current compiler options into a
+   * new element, e.g. to replace the visited node.
+   */
+  parse (template: string): ASTElement | void {
+    const el = parse(template.trim(), this.options)
+    if (el) {
+      clearRanges(el)
+    }
+    return el
+  }
+
+  remove () {
+    if (this.removed) return
+    this.container.splice(this.index, 1)
+    this.index--
+    this.removed = true
+  }
+
+  replace (nodes: ASTNode | Array<ASTNode>) {
+    if (this.removed) return
+    const list = toList(nodes, this.parent)
+    const node = this.node
+    // keep the v-if chain of the replaced element
+    if (node.type === 1 && node.ifConditions && list.length === 1 && list[0].type === 1) {
+      const el = list[0]
+      el.if = node.if
+      el.ifConditions = node.ifConditions
+      el.ifConditions[0].block = el
+      this.chainOwner = el
+    }
+    this.container.splice(this.index, 1, ...list)
+    this.index += list.length - 1
+    this.removed = true
+  }
+
+  insertBefore (nodes: ASTNode | Array<ASTNode>) {
+    const list = toList(nodes, this.parent)
+    this.container.splice(this.index, 0, ...list)
+    this.index += list.length
+  }
+
+  insertAfter (nodes: ASTNode | Array<ASTNode>) {
+    const list = toList(nodes, this.parent)
+    this.container.splice(this.index + 1, 0, ...list)
+    // nodes inserted by a plugin are not visited by the same plugin
+    this.index += list.length
+  }
+
+  getDirective (name: string): ASTDirective | void {
+    const el = this.node
+    if (el.type === 1 && el.directives) {
+      for (let i = 0; i < el.directives.length; i++) {
+        if (el.directives[i].name === name) {
+          return el.directives[i]
+        }
+      }
+    }
+  }
+
+  addDirective (dir: {
+    name: string,
+    value?: string,
+    arg?: string,
+    modifiers?: ASTModifiers
+  }) {
+    const el = this.node
+    if (el.type !== 1) return
+    addDirective(
+      el,
+      dir.name,
+      `v-${dir.name}${dir.arg ? `:${dir.arg}` : ''}`,
+      dir.value || '',
+      dir.arg,
+      false,
+      dir.modifiers
+    )
+  }
+
+  removeDirective (name: string) {
+    const el = this.node
+    if (el.type === 1 && el.directives) {
+      const dirs = el.directives.filter(dir => dir.name !== name)
+      el.directives = dirs.length ? dirs : undefined
+    }
+  }
+}
+
+function toList (nodes: ASTNode | Array<ASTNode>, parent: ASTElement | void): Array<ASTNode> {
+  const list = Array.isArray(nodes) ? nodes : [nodes]
+  list.forEach(node => {
+    if (node.type === 1) {
+      node.parent = parent
+    }
+  })
+  return list
+}
+
+// nodes parsed from snippets have no position in the compiled template
+function clearRanges (node: ASTNode) {
+  node.start = node.end = undefined
+  if (node.type === 1) {
+    node.children.forEach(clearRanges)
+  }
+}
+
+function traverseList (
+  list: Array<ASTNode>,
+  parent: ASTElement | void,
+  plugin: CompilerPlugin,
+  options: CompilerOptions
+) {
+  for (let i = 0; i < list.length; i++) {
+    const context = new PluginContext(list[i], parent, list, i, plugin, options)
+    traverseNode(context)
+    i = context.index
+  }
+}
+
+function traverseNode (context: PluginContext) {
+  const node = context.node
+  const visitor = getVisitor(context.plugin, node)
+  const enter = typeof visitor === 'function' ? visitor : visitor && visitor.enter
+  if (enter) {
+    enter(node, context)
+    if (context.removed) {
+      // the v-else(-if) branches are still visited after a v-if element
+      // has been replaced
+      if (context.chainOwner) {
+        traverseConditions(context.chainOwner, context)
+      }
+      return
+    }
+  }
+  if (node.type === 1) {
+    traverseList(node.children, node, context.plugin, context.options)
+    // v-else(-if) branches and scoped slots are not in the children list
+    if (node.ifConditions) {
+      traverseConditions(node, context)
+    }
+    const slots = node.scopedSlots
+    if (slots) {
+      Object.keys(slots).forEach(name => {
+        const list = [slots[name]]
+        traverseList(list, node, context.plugin, context.options)
+        if (list.length === 1 && list[0].type === 1) {
+          slots[name] = list[0]
+        } else {
+          delete slots[name]
+        }
+      })
+    }
+  }
+  const exit = visitor && typeof visitor !== 'function' && visitor.exit
+  if (exit && !context.removed) {
+    exit(node, context)
+  }
+}
+
+function traverseConditions (el: ASTElement, context: PluginContext) {
+  const conditions = el.ifConditions || []
+  for (let i = 1; i < conditions.length; i++) {
+    const condition = conditions[i]
+    const list = [condition.block]
+    traverseList(list, context.parent, context.plugin, context.options)
+    if (list.length === 1 && list[0].type === 1) {
+      condition.block = list[0]
+    } else {
+      if (list.length > 1) {
+        context.warn(
+          'A v-else or v-else-if branch can only be replaced by a single element.',
+          condition.block
+        )
+      }
+      conditions.splice(i--, 1)
+    }
+  }
+}
+
+function getVisitor (plugin: CompilerPlugin, node: ASTNode): ?PluginVisitor {
+  const visitor = plugin.visitor
+  if (!visitor) return
+  if (node.type === 1) {
+    return visitor.element
+  } else if (node.type === 3 && node.isComment) {
+    return visitor.comment
+  } else {
+    return visitor.text
+  }
+}
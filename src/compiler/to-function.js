@@ -3,14 +3,20 @@
 import { noop, extend } from 'shared/util'
 import { warn as baseWarn, tip } from 'core/util/debug'
 import { generateCodeFrame } from './codeframe'
+import { encodeBase64 } from './codegen/source-map'
 
 type CompiledFunctionResult = {
   render: Function;
   staticRenderFns: Array<Function>;
 };
 
-function createFunction (code, errors) {
+let uid = 0
+
+function createFunction (code, errors, map?: ?Object, sourceURL?: string) {
   try {
+    if (map) {
+      code += genSourceMapComments(map, sourceURL)
+    }
     return new Function(code)
   } catch (err) {
     errors.push({ err, code })
@@ -18,6 +24,19 @@ function createFunction (code, errors) {
   }
 }
 
+/**
+ * Inline the source map of a render function, so that devtools and stack
+ * traces point at the template instead of anonymous code.
+ */
+function genSourceMapComments (map: Object, sourceURL?: string): string {
+  // new Function() places the body after a two line header:
+  // "function anonymous(\n) {\n"
+  const inlineMap = extend(extend({}, map), { mappings: ';;' + map.mappings })
+  return `\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,` +
+    encodeBase64(JSON.stringify(inlineMap)) +
+    (sourceURL ? `\n//# sourceURL=${sourceURL}` : '')
+}
+
 export function createCompileToFunctionFn (compile: Function): Function {
   const cache = Object.create(null)
 
@@ -49,13 +68,22 @@ export function createCompileToFunctionFn (compile: Function): Function {
     }
 
     // check cache
-    const key = options.delimiters
+    let key = options.delimiters
       ? String(options.delimiters) + template
       : template
+    if (options.sourceMap) {
+      key = `${options.filename || ''}?map:${key}`
+    }
     if (cache[key]) {
       return cache[key]
     }
 
+    let sourceURL
+    if (options.sourceMap) {
+      options.filename = options.filename || `vue-template-${++uid}.html`
+      sourceURL = options.filename
+    }
+
     // compile
     const compiled = compile(template, options)
 
@@ -90,9 +118,20 @@ export function createCompileToFunctionFn (compile: Function): Function {
     // turn code into functions
     const res = {}
     const fnGenErrors = []
-    res.render = createFunction(compiled.render, fnGenErrors)
-    res.staticRenderFns = compiled.staticRenderFns.map(code => {
-      return createFunction(code, fnGenErrors)
+    const maps = compiled.staticRenderMaps || []
+    res.render = createFunction(
+      compiled.render,
+      fnGenErrors,
+      compiled.map,
+      sourceURL && `${sourceURL}.render.js`
+    )
+    res.staticRenderFns = compiled.staticRenderFns.map((code, i) => {
+      return createFunction(
+        code,
+        fnGenErrors,
+        maps[i],
+        sourceURL && `${sourceURL}.static-${i}.js`
+      )
     })
 
     // check function generation errors.
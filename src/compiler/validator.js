@@ -0,0 +1,344 @@
+/* @flow */
+
+import { allowedGlobals } from 'core/instance/proxy'
+import { makeMap, camelize, capitalize, hyphenate } from 'shared/util'
+import { dirRE, onRE, bindRE } from './parser/index'
+import { parseFilters } from './parser/filter-parser'
+import { stripStringRE } from './error-detector'
+import { generateCodeFrame } from './codeframe'
+
+type Range = { start?: number, end?: number };
+
+type ValidateContext = {
+  bindings: { [key: string]: true };
+  components: $PropertyType<TemplateValidateOptions, 'components'>;
+  warn: (msg: string, range?: Range) => void;
+};
+
+const isKeyword = makeMap(
+  'true,false,null,undefined,this,arguments,typeof,instanceof,in,of,new,' +
+  'void,delete,function,return,if,else,for,while,do,switch,case,break,' +
+  'continue,default,try,catch,finally,throw,var,let,const,class,super,' +
+  'extends,async,await,yield,import,export,with,debugger'
+)
+
+// attributes of component tags that are never props
+const isSpecialAttr = makeMap('key,ref,slot,slot-scope,scope,is,class,style,inline-template')
+
+const tokenRE = /\.\.\.|\?\.(?!\d)|=>|[A-Za-z_$][\w$]*|\d[\w.]*|\.\d\w*|\S/g
+const identRE = /^[A-Za-z_$]/
+const slotAttrRE = /^v-slot(:|$)|^#/
+const dynamicArgRE = /\[(.*)\](?=[^\]]*$)/
+const modifierRE = /\.[^.\]]+(?=[^\]]*$)/g
+
+/**
+ * Check the expressions of a template against the names declared by its
+ * component, and the props and events used on child components against
+ * their declarations. When `source` is passed, the messages include a code
+ * frame of the template.
+ */
+export function validateTemplate (
+  ast: ?ASTElement,
+  options: TemplateValidateOptions,
+  warn: Function,
+  source?: string
+) {
+  if (!ast) return
+  const bindings = {}
+  ;[
+    getNames(options.props).map(camelize),
+    getNames(options.data),
+    getNames(options.computed),
+    getNames(options.methods),
+    getNames(options.inject),
+    options.globals || []
+  ].forEach(names => names.forEach(name => { bindings[name] = true }))
+
+  let report = warn
+  if (source) {
+    const template = source
+    report = (msg, range) => {
+      warn(range && range.start != null
+        ? `${msg}\n\n${generateCodeFrame(template, range.start, range.end)}`
+        : msg, range)
+    }
+  }
+  checkElement(ast, {}, {
+    bindings,
+    components: options.components,
+    warn: report
+  })
+}
+
+function getNames (declarations: ?TemplateDeclarations): Array<string> {
+  if (!declarations) return []
+  return Array.isArray(declarations) ? declarations : Object.keys(declarations)
+}
+
+function checkElement (el: ASTElement, scope: Object, context: ValidateContext) {
+  if (el.pre) return
+  if (el.for) {
+    checkExpression(el.for, scope, context, el.rawAttrsMap['v-for'])
+  }
+  let elScope = scope
+  if (el.alias) {
+    elScope = extendScope(elScope, [el.alias, el.iterator1, el.iterator2].join(','))
+  }
+  if (el.slotScope) {
+    elScope = extendScope(elScope, el.slotScope)
+  }
+
+  for (const name in el.attrsMap) {
+    if (!dirRE.test(name) || name === 'v-for' || slotAttrRE.test(name)) continue
+    const range = el.rawAttrsMap[name]
+    const argMatch = name.match(dynamicArgRE)
+    if (argMatch) {
+      checkExpression(argMatch[1], elScope, context, range)
+    }
+    const value = el.attrsMap[name]
+    if (value) {
+      checkExpression(
+        bindRE.test(name) ? parseFilters(value) : value,
+        elScope,
+        context,
+        range
+      )
+    }
+  }
+  checkComponent(el, context)
+
+  for (let i = 0; i < el.children.length; i++) {
+    const child = el.children[i]
+    if (child.type === 1) {
+      checkElement(child, elScope, context)
+    } else if (child.type === 2) {
+      const node = child
+      node.tokens.forEach(token => {
+        if (typeof token !== 'string') {
+          checkExpression(token['@binding'], elScope, context, node)
+        }
+      })
+    }
+  }
+  // v-else(-if) branches and scoped slots are not in the children list
+  if (el.ifConditions) {
+    for (let i = 1; i < el.ifConditions.length; i++) {
+      checkElement(el.ifConditions[i].block, scope, context)
+    }
+  }
+  const slots = el.scopedSlots
+  if (slots) {
+    Object.keys(slots).forEach(name => {
+      checkElement(slots[name], elScope, context)
+    })
+  }
+}
+
+function extendScope (scope: Object, params: string): Object {
+  const res = Object.create(scope)
+  tokenize(params).forEach(token => {
+    if (identRE.test(token)) {
+      res[token] = true
+    }
+  })
+  return res
+}
+
+function checkExpression (exp: string, scope: Object, context: ValidateContext, range?: Range) {
+  getReferences(exp).forEach(name => {
+    if (
+      name.charAt(0) === '$' ||
+      name.charAt(0) === '_' ||
+      allowedGlobals(name) ||
+      scope[name] ||
+      context.bindings[name]
+    ) {
+      return
+    }
+    context.warn(
+      `"${name}" is referenced in the template but is not declared as a ` +
+      `prop, data, computed property, method or injection.` +
+      suggest(name, Object.keys(context.bindings)),
+      range
+    )
+  })
+}
+
+function checkComponent (el: ASTElement, context: ValidateContext) {
+  const component = resolveComponent(el, context.components)
+  if (!component) return
+  const tag = el.tag
+  const props = component.props && getNames(component.props).map(camelize)
+  const emits = component.emits && getNames(component.emits)
+
+  for (const rawName in el.attrsMap) {
+    const range = el.rawAttrsMap[rawName]
+    if (dynamicArgRE.test(rawName)) continue
+    if (onRE.test(rawName)) {
+      const name = rawName.replace(onRE, '').replace(modifierRE, '')
+      if (
+        emits &&
+        rawName.indexOf('.native') < 0 &&
+        !/^hook:/.test(name) &&
+        !emits.some(e => e === name || hyphenate(e) === hyphenate(name))
+      ) {
+        context.warn(
+          `Event "${name}" is not declared in the emits of <${tag}>.` +
+          suggest(name, emits),
+          range
+        )
+      }
+    } else if (props && (bindRE.test(rawName) || !dirRE.test(rawName))) {
+      const name = rawName.replace(bindRE, '')
+      if (
+        !name ||
+        rawName.charAt(0) === '.' ||
+        /\.prop\b/.test(rawName) ||
+        isSpecialAttr(name.replace(modifierRE, '')) ||
+        /^(data|aria)-/.test(name)
+      ) {
+        continue
+      }
+      const propName = camelize(name.replace(modifierRE, ''))
+      if (props.indexOf(propName) < 0) {
+        // undeclared attributes fall through to the root element of the
+        // component, only report the ones close to a declared prop
+        const match = findClosest(propName, props)
+        if (match) {
+          context.warn(
+            `Unknown prop "${name.replace(modifierRE, '')}" on <${tag}>. ` +
+            `Did you mean "${hyphenate(match)}"?`,
+            range
+          )
+        }
+      }
+    }
+  }
+}
+
+function resolveComponent (
+  el: ASTElement,
+  components: $PropertyType<TemplateValidateOptions, 'components'>
+): ?Object {
+  if (!components) return
+  let id = el.tag
+  if (el.component) {
+    const staticMatch = el.component.match(/^"(.*)"$/)
+    if (!staticMatch) return
+    id = staticMatch[1]
+  }
+  const camelizedId = camelize(id)
+  return components[id] || components[camelizedId] || components[capitalize(camelizedId)]
+}
+
+/**
+ * Collect the free identifiers referenced by an expression or an inline
+ * statement, ignoring member accesses, object keys and function parameters.
+ */
+export function getReferences (exp: string): Array<string> {
+  const tokens = tokenize(exp)
+  const isParam = []
+  const locals = {}
+  const markParams = (start: number, end: number) => {
+    for (let j = start; j <= end; j++) {
+      if (identRE.test(tokens[j])) {
+        isParam[j] = true
+        locals[tokens[j]] = true
+      }
+    }
+  }
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] === '=>') {
+      if (tokens[i - 1] === ')') {
+        markParams(findMatchingParen(tokens, i - 1, -1), i - 1)
+      } else {
+        markParams(i - 1, i - 1)
+      }
+    } else if (tokens[i] === 'function') {
+      let j = i + 1
+      if (tokens[j] !== '(') j++ // named function expression
+      markParams(j - 1, findMatchingParen(tokens, j, 1))
+    }
+  }
+
+  const stack = []
+  const refs = []
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    if (token === '(' || token === '[' || token === '{') {
+      stack.push(token)
+    } else if (token === ')' || token === ']' || token === '}') {
+      stack.pop()
+    } else if (
+      identRE.test(token) &&
+      !isKeyword(token) &&
+      !isParam[i] &&
+      !locals[token] &&
+      refs.indexOf(token) < 0
+    ) {
+      const prev = tokens[i - 1]
+      const isMember = prev === '.' || prev === '?.'
+      const isKey = stack[stack.length - 1] === '{' &&
+        (prev === '{' || prev === ',') &&
+        tokens[i + 1] === ':'
+      if (!isMember && !isKey) {
+        refs.push(token)
+      }
+    }
+  }
+  return refs
+}
+
+function tokenize (exp: string): Array<string> {
+  return exp.replace(stripStringRE, '""').match(tokenRE) || []
+}
+
+function findMatchingParen (tokens: Array<string>, index: number, step: number): number {
+  let depth = 0
+  for (let i = index; i >= 0 && i < tokens.length; i += step) {
+    if (tokens[i] === '(') depth += step
+    else if (tokens[i] === ')') depth -= step
+    if (depth === 0) return i
+  }
+  return index
+}
+
+function suggest (name: string, candidates: Array<string>): string {
+  const match = findClosest(name, candidates)
+  return match ? ` Did you mean "${match}"?` : ''
+}
+
+function findClosest (name: string, candidates: Array<string>): ?string {
+  const max = name.length < 4 ? 0 : name.length < 6 ? 1 : 2
+  let closest
+  let min = max + 1
+  candidates.forEach(candidate => {
+    const d = distance(name.toLowerCase(), candidate.toLowerCase())
+    if (d < min) {
+      min = d
+      closest = candidate
+    }
+  })
+  return closest
+}
+
+// edit distance counting adjacent transpositions as a single edit
+function distance (a: string, b: string): number {
+  const d = []
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i]
+  }
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return d[a.length][b.length]
+}
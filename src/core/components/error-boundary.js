@@ -0,0 +1,61 @@
+/* @flow */
+
+/**
+ * Replaces its content with the scoped `fallback` slot when a descendant
+ * throws during render, in a lifecycle hook, a watcher or an async
+ * handler. The slot receives the `error`, the `info` string of the hook
+ * that failed and a `reset` function to render the content again. During
+ * SSR the content rendered before the error is discarded.
+ */
+export default {
+  name: 'error-boundary',
+
+  data () {
+    return {
+      failure: null
+    }
+  },
+
+  beforeCreate () {
+    this._isErrorBoundary = true
+  },
+
+  errorCaptured (err: any, vm: Component, info: string) {
+    // errors of the fallback and of the failed content being torn down are
+    // left to the parents
+    if (this.failure) return
+    this.capture(err, vm, info)
+    return false
+  },
+
+  methods: {
+    capture (err: any, vm: Component, info: string) {
+      this.failure = { error: err, info }
+      this.$emit('error', err, vm, info)
+    },
+
+    reset () {
+      this.failure = null
+    }
+  },
+
+  render () {
+    if (!this.failure) {
+      const content = this.$scopedSlots.default
+      try {
+        return content ? content() : null
+      } catch (e) {
+        // the content of the slot is rendered by the boundary itself
+        this.capture(e, this, 'render')
+      }
+    }
+    const fallback = this.$scopedSlots.fallback
+    return fallback
+      ? fallback({
+        error: this.failure.error,
+        info: this.failure.info,
+        reset: this.reset
+      })
+      : null
+  }
+}
@@ -0,0 +1,139 @@
+/* @flow */
+
+import { inBrowser, isPromise, nextTick, remove } from 'core/util/index'
+import { createFragmentVNode } from 'core/vdom/vnode'
+import { SSR_SEGMENT_PREFIX } from 'shared/constants'
+
+function findSuspense (vm: ?Component): ?Component {
+  while (vm) {
+    if (vm._isSuspense) {
+      return vm
+    }
+    vm = vm.$parent
+  }
+}
+
+/**
+ * Register a pending async dependency of `vm` with its closest suspense
+ * boundary. Returns the function to call once the dependency has settled,
+ * or nothing if there is no boundary or the dependency is already tracked.
+ */
+export function registerAsyncDep (vm: ?Component, dep: any): ?Function {
+  const suspense: any = findSuspense(vm)
+  if (!suspense || suspense._isDestroyed || suspense.deps.indexOf(dep) > -1) {
+    return
+  }
+  suspense.deps.push(dep)
+  if (!suspense.pending) {
+    suspense.pending = true
+    suspense.$emit('pending')
+  }
+  return () => {
+    remove(suspense.deps, dep)
+    // wait for the re-render of the resolved content, it may have async
+    // dependencies of its own
+    nextTick(() => suspense.checkResolved())
+  }
+}
+
+/**
+ * `created` hooks returning a promise are async dependencies of suspense
+ * boundaries, which the server renderer also waits for.
+ */
+export function registerAsyncSetup (vm: Component, promise: any) {
+  if (!isPromise(promise)) return
+  const settle = registerAsyncDep(vm, promise)
+  if (settle) {
+    vm._asyncSetup = promise
+    promise.then(settle, settle)
+  }
+}
+
+/**
+ * Whether a server-rendered node is the placeholder of content the server
+ * is still streaming.
+ */
+export function isPendingSegment (node: ?Node): boolean {
+  return !!node && node.nodeName === 'TEMPLATE' &&
+    (node: any).id.indexOf(SSR_SEGMENT_PREFIX + 'p') === 0
+}
+
+/**
+ * Renders its fallback slot until the async components and async `created`
+ * hooks of its content have resolved. The content is mounted in a detached
+ * container in the meantime, then moved in place.
+ */
+export default {
+  name: 'suspense',
+
+  beforeCreate () {
+    this._isSuspense = true
+  },
+
+  created () {
+    this.deps = []
+    this.pending = false
+    this.showFallback = false
+    this.segment = null
+    this.hiddenContainer = inBrowser ? document.createElement('div') : null
+  },
+
+  beforeMount () {
+    // $el is only set before mount when hydrating, the server rendered the
+    // resolved content
+    this.hydrating = !!this.$el
+    // or its fallback, when streaming out of order. The content is hydrated
+    // once the server has streamed it.
+    const segment = this.hydrating && this.$el.nextSibling
+    if (isPendingSegment(segment)) {
+      const settle = registerAsyncDep(this, segment)
+      this.segment = segment
+      this.showFallback = true
+      segment._resume = first => {
+        const content = this._vnode.children[0]
+        content.elm = first
+        this.segment = null
+        settle && settle()
+      }
+    }
+  },
+
+  mounted () {
+    if (this.deps.length && !this.hydrating) {
+      this.showFallback = true
+      this.$forceUpdate()
+    }
+  },
+
+  methods: {
+    checkResolved () {
+      if (this._isDestroyed || !this.pending || this.deps.length) return
+      this.pending = false
+      if (this.showFallback) {
+        this.showFallback = false
+        this.$forceUpdate()
+      }
+      // once resolved, the content stays displayed and later async
+      // dependencies only emit pending and resolve
+      this.$nextTick(() => this.$emit('resolve'))
+    }
+  },
+
+  render () {
+    const { showFallback, hiddenContainer, segment } = this
+    const content = createFragmentVNode(
+      segment ? [] : this.$slots.default || []
+    )
+    content.data = {
+      teleport: {
+        to: hiddenContainer,
+        target: showFallback ? hiddenContainer : null,
+        disabled: !showFallback
+      }
+    }
+    const fallback = createFragmentVNode(
+      showFallback ? this.$slots.fallback || [] : []
+    )
+    return createFragmentVNode([content, fallback])
+  }
+}
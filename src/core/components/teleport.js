@@ -0,0 +1,56 @@
+/* @flow */
+
+import { warn, inBrowser } from 'core/util/index'
+import { createFragmentVNode } from 'core/vdom/vnode'
+
+function resolveTarget (to: string | Element, vm: Component): ?Element {
+  if (typeof to !== 'string') {
+    return to
+  }
+  const target = document.querySelector(to)
+  if (!target && process.env.NODE_ENV !== 'production') {
+    warn(
+      `Cannot find the teleport target "${to}", the content is rendered ` +
+      `in place instead.`,
+      vm
+    )
+  }
+  return target
+}
+
+/**
+ * Renders its slot in another container of the document, e.g. modals
+ * that need to escape the overflow of their parents. The content stays a
+ * child of the surrounding component: it receives the same injections and
+ * events, only its DOM nodes are moved.
+ */
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // a selector or an element
+    to: {
+      required: true
+    },
+    disabled: Boolean
+  },
+
+  render () {
+    const vnode = createFragmentVNode(this.$slots.default || [])
+    const { to, disabled } = this
+    // the target is resolved before each patch, the content is moved when
+    // it changes. During SSR the content is rendered in the `teleports` of
+    // the render context.
+    vnode.data = {
+      teleport: {
+        to,
+        target: !disabled && inBrowser && !this.$isServer
+          ? resolveTarget(to, this)
+          : null,
+        disabled
+      }
+    }
+    return vnode
+  }
+}
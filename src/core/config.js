@@ -19,6 +19,8 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  maxUpdateCount: number;
+  proxyObserver: boolean;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -57,6 +59,19 @@ export default ({
    */
   devtools: process.env.NODE_ENV !== 'production',
 
+  /**
+   * Whether to observe component data with a Proxy, which also detects
+   * property addition/deletion and array index/length writes.
+   * Can be overridden per component with the `proxyObserver` option.
+   */
+  proxyObserver: false,
+
+  /**
+   * How many times a watcher may be re-run in a single flush before
+   * it is reported as an infinite update loop (development only).
+   */
+  maxUpdateCount: 100,
+
   /**
    * Whether to record perf
    */
@@ -9,11 +9,34 @@ import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 import { observe } from 'core/observer/index'
+import { queuePostFlushCb } from 'core/observer/scheduler'
+import { observeProxy, shouldUseProxyObserver } from 'core/observer/proxy-observer'
+import {
+  reactive,
+  shallowReactive,
+  readonly,
+  isReactive,
+  isShallow,
+  isReadonly,
+  markRaw,
+  ref,
+  isRef,
+  unref,
+  computed,
+  watchEffect
+} from 'core/observer/reactivity'
+import {
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from 'core/observer/effect-scope'
 
 import {
   warn,
   extend,
   nextTick,
+  setNextTickTimer,
+  flushNextTick,
   mergeOptions,
   defineReactive
 } from '../util/index'
@@ -46,13 +69,36 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.set = set
   Vue.delete = del
   Vue.nextTick = nextTick
+  Vue.setNextTickTimer = setNextTickTimer
+  Vue.flushNextTick = flushNextTick
+  Vue.queuePostFlushCb = queuePostFlushCb
 
   // 2.6 explicit observable API
   Vue.observable = (obj: T): T => {
+    if (shouldUseProxyObserver()) {
+      return observeProxy(obj)
+    }
     observe(obj)
     return obj
   }
 
+  // standalone reactivity API, usable without a component instance
+  Vue.reactive = reactive
+  Vue.shallowReactive = shallowReactive
+  Vue.readonly = readonly
+  Vue.isReactive = isReactive
+  Vue.isShallow = isShallow
+  Vue.isReadonly = isReadonly
+  Vue.markRaw = markRaw
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+  Vue.computed = computed
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     Vue.options[type + 's'] = Object.create(null)
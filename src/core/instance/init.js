@@ -34,26 +34,20 @@ export function initMixin (Vue: Class<Component>) {
     // a flag to avoid this being observed
     vm._isVue = true
     // merge options
-    // if (options && options._isComponent) {
-    //   // optimize internal component instantiation
-    //   // since dynamic options merging is pretty slow, and none of the
-    //   // internal component options needs special treatment.
-    //   initInternalComponent(vm, options)
-    // } else {
-    //   vm.$options = mergeOptions(
-    //     resolveConstructorOptions(vm.constructor),
-    //     options || {},
-    //     vm
-    //   )
-    // }
-
-    // DY: 通过mergeOptions生成 $options，用于下面一系列的初始化
-    vm.$options = mergeOptions(
-      // DY: 解析构造者的options，在这里是Vue.options
-      resolveConstructorOptions(vm.constructor),
-      options || {},
-      vm
-    )
+    if (options && options._isComponent) {
+      // optimize internal component instantiation
+      // since dynamic options merging is pretty slow, and none of the
+      // internal component options needs special treatment.
+      initInternalComponent(vm, options)
+    } else {
+      // DY: 通过mergeOptions生成 $options，用于下面一系列的初始化
+      vm.$options = mergeOptions(
+        // DY: 解析构造者的options，在这里是Vue.options
+        resolveConstructorOptions(vm.constructor),
+        options || {},
+        vm
+      )
+    }
 
     /* istanbul ignore else */
     // DY: 拦截模板的属性访问
@@ -109,25 +103,25 @@ export function initInternalComponent (vm: Component, options: InternalComponent
 export function resolveConstructorOptions (Ctor: Class<Component>) {
   // DY: 拿到构造者的options，在这里是Vue.options
   let options = Ctor.options
-  // if (Ctor.super) {
-  //   const superOptions = resolveConstructorOptions(Ctor.super)
-  //   const cachedSuperOptions = Ctor.superOptions
-  //   if (superOptions !== cachedSuperOptions) {
-  //     // super option changed,
-  //     // need to resolve new options.
-  //     Ctor.superOptions = superOptions
-  //     // check if there are any late-modified/attached options (#4976)
-  //     const modifiedOptions = resolveModifiedOptions(Ctor)
-  //     // update base extend options
-  //     if (modifiedOptions) {
-  //       extend(Ctor.extendOptions, modifiedOptions)
-  //     }
-  //     options = Ctor.options = mergeOptions(superOptions, Ctor.extendOptions)
-  //     if (options.name) {
-  //       options.components[options.name] = Ctor
-  //     }
-  //   }
-  // }
+  if (Ctor.super) {
+    const superOptions = resolveConstructorOptions(Ctor.super)
+    const cachedSuperOptions = Ctor.superOptions
+    if (superOptions !== cachedSuperOptions) {
+      // super option changed,
+      // need to resolve new options.
+      Ctor.superOptions = superOptions
+      // check if there are any late-modified/attached options (#4976)
+      const modifiedOptions = resolveModifiedOptions(Ctor)
+      // update base extend options
+      if (modifiedOptions) {
+        extend(Ctor.extendOptions, modifiedOptions)
+      }
+      options = Ctor.options = mergeOptions(superOptions, Ctor.extendOptions)
+      if (options.name) {
+        options.components[options.name] = Ctor
+      }
+    }
+  }
   return options
 }
 
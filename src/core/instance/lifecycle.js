@@ -8,6 +8,7 @@ import { updateComponentListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
 import { pushTarget, popTarget } from '../observer/dep'
+import { registerAsyncSetup } from '../components/suspense'
 
 import {
   warn,
@@ -208,14 +209,24 @@ export function mountComponent (
   // we set this to vm._watcher inside the watcher's constructor
   // since the watcher's initial patch may call $forceUpdate (e.g. inside child
   // component's mounted hook), which relies on vm._watcher being already defined
-  // DY: 开启 watcher
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       if (vm._isMounted && !vm._isDestroyed) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+
+  // DY: 开启 watcher
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -349,21 +360,24 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
   }
 }
 
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
   const handlers = vm.$options[hook]
   const info = `${hook} hook`
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      const res = invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
+      if (hook === 'created') {
+        registerAsyncSetup(vm, res)
+      }
     }
   }
 
   // DY: 在 src\core\instance\events.js 有绑定hooks:event
   // DY: 如果有对应的 hook:hook 也会执行
   if (vm._hasHookEvent) {
-    vm.$emit('hook:' + hook)
+    vm.$emit.apply(vm, ['hook:' + hook].concat(args || []))
   }
   popTarget()
 }
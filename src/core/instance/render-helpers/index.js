@@ -7,7 +7,7 @@ import { renderSlot } from './render-slot'
 import { resolveFilter } from './resolve-filter'
 import { checkKeyCodes } from './check-keycodes'
 import { bindObjectProps } from './bind-object-props'
-import { renderStatic, markOnce } from './render-static'
+import { renderStatic, renderHoisted, markOnce } from './render-static'
 import { bindObjectListeners } from './bind-object-listeners'
 import { resolveScopedSlots } from './resolve-scoped-slots'
 import { bindDynamicKeys, prependModifier } from './bind-dynamic-keys'
@@ -30,4 +30,5 @@ export function installRenderHelpers (target: any) {
   target._g = bindObjectListeners
   target._d = bindDynamicKeys
   target._p = prependModifier
+  target._a = renderHoisted
 }
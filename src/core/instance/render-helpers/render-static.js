@@ -24,6 +24,20 @@ export function renderStatic (
   return tree
 }
 
+/**
+ * Runtime helper for reading constant data objects hoisted by the compiler
+ * (`hoistStatic` option). They are created once and shared by all
+ * instances rendered with the same static render fns.
+ */
+export function renderHoisted (index: number): any {
+  const fns: any = this.$options.staticRenderFns
+  const hoisted = fns._hoisted || (fns._hoisted = [])
+  if (!(index in hoisted)) {
+    hoisted[index] = fns[index]()
+  }
+  return hoisted[index]
+}
+
 /**
  * Runtime helper for v-once.
  * Effectively it means marking the node as static with a unique key.
@@ -12,7 +12,8 @@ import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
 
 import { isUpdatingChildComponent } from './lifecycle'
 
@@ -84,6 +85,14 @@ export function renderMixin (Vue: Class<Component>) {
       )
     }
 
+    // functions cached by the render code (`cacheHandlers` compiler option)
+    // belong to the render function that created them, e.g. drop them
+    // when the component is hot-reloaded
+    if (vm._cacheRender !== render) {
+      vm._cacheRender = render
+      vm._cache = []
+    }
+
     // set parent vnode. this allows render functions to have access
     // to the data on the placeholder node.
     vm.$vnode = _parentVnode
@@ -113,19 +122,13 @@ export function renderMixin (Vue: Class<Component>) {
     } finally {
       currentRenderingInstance = null
     }
-    // if the returned array contains only a single node, allow it
-    if (Array.isArray(vnode) && vnode.length === 1) {
-      vnode = vnode[0]
+    // multiple root nodes are rendered as a fragment
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      vnode = children.length > 1 ? createFragmentVNode(children) : children[0]
     }
     // return empty vnode in case the render function errored out
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
     // set parent
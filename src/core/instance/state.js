@@ -12,12 +12,16 @@ import {
   defineReactive,
   toggleObserving
 } from '../observer/index'
+import { observeProxy, shouldUseProxyObserver } from '../observer/proxy-observer'
 
 import {
   warn,
   bind,
   noop,
   hasOwn,
+  isObject,
+  parsePath,
+  hasChanged,
   hyphenate,
   isReserved,
   handleError,
@@ -57,7 +61,7 @@ export function initState (vm: Component) {
   if (opts.data) {
     initData(vm)
   } else {
-    observe(vm._data = {}, true /* asRootData */)
+    observeData(vm, {})
   }
   if (opts.computed) initComputed(vm, opts.computed)
   if (opts.watch && opts.watch !== nativeWatch) {
@@ -177,7 +181,17 @@ function initData (vm: Component) {
 
   // DY: 开启响应式之路
   // observe data
-  observe(data, true /* asRootData */)
+  observeData(vm, data)
+}
+
+function observeData (vm: Component, data: Object) {
+  if (shouldUseProxyObserver(vm.$options.proxyObserver)) {
+    // instance properties read and write through the proxy as well
+    vm._data = observeProxy(data, true /* asRootData */)
+  } else {
+    vm._data = data
+    observe(data, true /* asRootData */)
+  }
 }
 
 export function getData (data: Function, vm: Component): any {
@@ -361,13 +375,17 @@ function initWatch (vm: Component, watch: Object) {
 
 function createWatcher (
   vm: Component,
-  expOrFn: string | Function,
+  expOrFn: string | Function | Array<string | Function>,
   handler: any,
   options?: Object
 ) {
   if (isPlainObject(handler)) {
     options = handler
     handler = handler.handler
+    // watching several sources at once, the key is only a label
+    if (Array.isArray(options.sources)) {
+      expOrFn = options.sources
+    }
   }
   if (typeof handler === 'string') {
     handler = vm[handler]
@@ -407,7 +425,7 @@ export function stateMixin (Vue: Class<Component>) {
   Vue.prototype.$delete = del
 
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<string | Function>,
     cb: any,
     options?: Object
   ): Function {
@@ -419,6 +437,9 @@ export function stateMixin (Vue: Class<Component>) {
 
     // DY: 标识为用户创建的 watcher
     options.user = true
+    if (Array.isArray(expOrFn)) {
+      return watchSources(vm, expOrFn, cb, options)
+    }
     const watcher = new Watcher(vm, expOrFn, cb, options)
 
     // DY: 立即执行 cb（正常来说，cb只有在数据notify的时候才会执行）
@@ -435,3 +456,75 @@ export function stateMixin (Vue: Class<Component>) {
     }
   }
 }
+
+/**
+ * Watch several expressions or getters at once. The callback is called
+ * at most once per flush with arrays of new and old values, plus an
+ * `onCleanup` function to register a callback that runs before the next
+ * invocation and when the watcher is torn down (e.g. to cancel stale
+ * async work).
+ */
+function watchSources (
+  vm: Component,
+  sources: Array<string | Function>,
+  cb: Function,
+  options: Object
+): Function {
+  const getters = sources.map(source => {
+    if (typeof source === 'function') {
+      return source
+    }
+    const getter = parsePath(source)
+    if (!getter) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Failed watching path: "${source}" ` +
+        'Watcher only accepts simple dot-delimited paths. ' +
+        'For full control, use a function instead.',
+        vm
+      )
+      return noop
+    }
+    return getter
+  })
+
+  let cleanup: ?Function
+  const onCleanup = (fn: Function) => {
+    cleanup = fn
+  }
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup
+      cleanup = null
+      invokeWithErrorHandling(fn, vm, null, vm, `cleanup for watcher "${watcher.expression}"`)
+    }
+  }
+
+  const watcher = new Watcher(vm, function () {
+    return getters.map(getter => getter.call(vm, vm))
+  }, function (values: Array<any>, oldValues: Array<any>) {
+    // the getter returns a new array on every run, so compare each
+    // source the same way a single source watcher would
+    const changed = options.deep || values.some((value, i) => (
+      isObject(value) || hasChanged(value, oldValues[i])
+    ))
+    if (changed) {
+      runCleanup()
+      return cb.call(vm, values, oldValues, onCleanup)
+    }
+  }, options)
+  watcher.onStop = runCleanup
+  if (process.env.NODE_ENV !== 'production') {
+    watcher.expression = `[${sources.map(String).join(', ')}]`
+  }
+
+  if (options.immediate) {
+    const info = `callback for immediate watcher "${watcher.expression}"`
+    pushTarget()
+    invokeWithErrorHandling(cb, vm, [watcher.value, sources.map(() => undefined), onCleanup], vm, info)
+    popTarget()
+  }
+
+  return function unwatchFn () {
+    watcher.teardown()
+  }
+}
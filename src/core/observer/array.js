@@ -4,6 +4,7 @@
  */
 
 import { def } from '../util/index'
+import { warnReadonly } from './index'
 
 // DY: 获取原来数组的 prototype
 const arrayProto = Array.prototype
@@ -28,10 +29,14 @@ methodsToPatch.forEach(function (method) {
 
   // DY: 给 arrayMethods 定义每一个 method 的代理函数
   def(arrayMethods, method, function mutator (...args) {
+    const ob = this.__ob__
+    if (ob.readonly) {
+      process.env.NODE_ENV !== 'production' && warnReadonly(ob, undefined, method)
+      return
+    }
 
     // DY: 先执行原来的数组方法
     const result = original.apply(this, args)
-    const ob = this.__ob__
     let inserted
 
     // DY: 新增操作，新的元素没有响应式，需要变成响应式
@@ -46,9 +51,13 @@ methodsToPatch.forEach(function (method) {
     }
 
     // DY: 把新增的元素变为响应式（inserted）
-    if (inserted) ob.observeArray(inserted)
+    if (inserted && !ob.shallow) ob.observeArray(inserted)
     // notify change
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ target: this, type: 'array mutation', key: method })
+    } else {
+      ob.dep.notify()
+    }
     return result
   })
 })
@@ -0,0 +1,153 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototype
+ */
+
+import Dep, { debugInfo } from './dep'
+import { def, hasSymbol, hasChanged } from '../util/index'
+import { warnReadonly } from './index'
+
+const hasCollections = typeof Map !== 'undefined' && typeof Set !== 'undefined'
+
+export const mapMethods = hasCollections ? Object.create(Map.prototype) : null
+export const setMethods = hasCollections ? Object.create(Set.prototype) : null
+
+/**
+ * Methods that read from a collection. These collect the collection's
+ * dep as a dependency of the current target.
+ */
+const readMethods = ['get', 'has', 'forEach', 'keys', 'values', 'entries']
+
+/**
+ * Intercept reading methods and collect dependencies
+ */
+function patchReadMethods (proto, methods) {
+  readMethods.forEach(function (method) {
+    const original = proto[method]
+    if (!original) return
+    def(methods, method, function reader (...args) {
+      const result = original.apply(this, args)
+      if (Dep.target) {
+        const ob = this.__ob__
+        ob.dep.depend(method === 'get' || method === 'has'
+          ? debugInfo(this, method, args[0])
+          : debugInfo(this, 'iterate'))
+        if (method === 'get') {
+          result && result.__ob__ && result.__ob__.dep.depend()
+        } else if (method !== 'has') {
+          dependCollection(this, proto.forEach)
+        }
+      }
+      return result
+    })
+  })
+
+  if (hasSymbol) {
+    const iterator = proto[Symbol.iterator]
+    def(methods, Symbol.iterator, function iterate () {
+      if (Dep.target) {
+        this.__ob__.dep.depend(debugInfo(this, 'iterate'))
+        dependCollection(this, proto.forEach)
+      }
+      return iterator.call(this)
+    })
+  }
+
+  const size = Object.getOwnPropertyDescriptor(proto, 'size').get
+  Object.defineProperty(methods, 'size', {
+    configurable: true,
+    get () {
+      if (Dep.target) {
+        this.__ob__.dep.depend(debugInfo(this, 'iterate', 'size'))
+      }
+      return size.call(this)
+    }
+  })
+}
+
+/**
+ * Collect dependencies on the values held by a collection when it is
+ * iterated, since the values are not read through a getter.
+ */
+function dependCollection (collection, forEach) {
+  forEach.call(collection, e => {
+    e && e.__ob__ && e.__ob__.dep.depend()
+  })
+}
+
+if (hasCollections) {
+  patchReadMethods(Map.prototype, mapMethods)
+  patchReadMethods(Set.prototype, setMethods)
+
+  const mapProto = Map.prototype
+  const setProto = Set.prototype
+
+  /**
+   * Intercept mutating methods and emit events. Writes that don't
+   * change the collection do not notify.
+   */
+  def(mapMethods, 'set', function set (key, val) {
+    if (this.__ob__.readonly) {
+      process.env.NODE_ENV !== 'production' && warnReadonly(this.__ob__, undefined, 'set')
+      return this
+    }
+    const had = mapProto.has.call(this, key)
+    const oldVal = mapProto.get.call(this, key)
+    mapProto.set.call(this, key, val)
+    if (!had || hasChanged(val, oldVal)) {
+      const ob = this.__ob__
+      if (!ob.shallow) ob.observeArray([val])
+      ob.dep.notify(debugInfo(this, had ? 'set' : 'add', key, val, oldVal))
+    }
+    return this
+  })
+
+  def(setMethods, 'add', function add (val) {
+    if (this.__ob__.readonly) {
+      process.env.NODE_ENV !== 'production' && warnReadonly(this.__ob__, undefined, 'add')
+      return this
+    }
+    if (!setProto.has.call(this, val)) {
+      setProto.add.call(this, val)
+      const ob = this.__ob__
+      if (!ob.shallow) ob.observeArray([val])
+      ob.dep.notify(debugInfo(this, 'add', val, val))
+    }
+    return this
+  })
+
+  ;[[mapProto, mapMethods], [setProto, setMethods]].forEach(([proto, methods]) => {
+    def(methods, 'delete', function _delete (key) {
+      if (this.__ob__.readonly) {
+        process.env.NODE_ENV !== 'production' && warnReadonly(this.__ob__, undefined, 'delete')
+        return false
+      }
+      const result = proto.delete.call(this, key)
+      if (result) this.__ob__.dep.notify(debugInfo(this, 'delete', key))
+      return result
+    })
+
+    def(methods, 'clear', function clear () {
+      if (this.__ob__.readonly) {
+        process.env.NODE_ENV !== 'production' && warnReadonly(this.__ob__, undefined, 'clear')
+        return
+      }
+      const hadItems = Object.getOwnPropertyDescriptor(proto, 'size').get.call(this) > 0
+      proto.clear.call(this)
+      if (hadItems) this.__ob__.dep.notify(debugInfo(this, 'clear'))
+    })
+  })
+}
+
+/**
+ * Keys that have to be copied onto a collection when __proto__ is not
+ * available. `size` is an accessor and can only be intercepted through
+ * the prototype chain.
+ */
+export const mapKeys = hasCollections ? collectionKeys(mapMethods) : []
+export const setKeys = hasCollections ? collectionKeys(setMethods) : []
+
+function collectionKeys (methods) {
+  const keys = Object.getOwnPropertyNames(methods).filter(k => k !== 'size')
+  return hasSymbol ? keys.concat(Symbol.iterator) : keys
+}
@@ -1,11 +1,43 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * Describes the reactive operation that caused a dependency to be
+ * tracked or triggered. Only reported in development builds.
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object;
+  type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
+export type DebuggerEvent = {
+  effect: Watcher;
+} & DebuggerEventExtraInfo;
+
+/**
+ * Build the debugger event info passed to dep.depend/notify, which is
+ * only reported in development builds.
+ */
+export function debugInfo (
+  target: Object,
+  type: $PropertyType<DebuggerEventExtraInfo, 'type'>,
+  key?: any,
+  newValue?: any,
+  oldValue?: any
+): any {
+  if (process.env.NODE_ENV !== 'production') {
+    return { target, type, key, newValue, oldValue }
+  }
+}
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -30,15 +62,20 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  depend () {
-    if (Dep.target) {
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
 
       // DY: 执行 watcher 的 addDep
-      Dep.target.addDep(this)
+      target.addDep(this)
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const onTrack = target.onTrack
+        onTrack && onTrack(extend({ effect: target }, info))
+      }
     }
   }
 
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -50,7 +87,11 @@ export default class Dep {
 
     // DY: 执行当前dep收集的 watcher 的 update 方法
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const onTrigger = subs[i].onTrigger
+        onTrigger && onTrigger(extend({ effect: subs[i] }, info))
+      }
+      subs[i].update(info)
     }
   }
 }
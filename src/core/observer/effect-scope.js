@@ -0,0 +1,121 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn, handleError } from '../util/index'
+
+export let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects every watcher (including computed watchers)
+ * created while it is active, so that they can be stopped all at once.
+ * Scopes created inside another scope are collected by their parent
+ * unless they are detached.
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  scopes: ?Array<EffectScope>;
+  parent: ?EffectScope;
+  index: ?number; // index of this scope in its parent's scopes
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.cleanups = []
+    this.parent = activeEffectScope
+    if (!detached && activeEffectScope) {
+      this.index = (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this) - 1
+    }
+  }
+
+  /**
+   * Run a function with this scope active and return its result.
+   */
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`cannot run an inactive effect scope.`)
+    }
+  }
+
+  /**
+   * Tear down every watcher collected by this scope and its child
+   * scopes, and run the registered dispose callbacks.
+   */
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        try {
+          this.cleanups[i]()
+        } catch (e) {
+          handleError(e, null, 'effect scope dispose callback')
+        }
+      }
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].stop(true)
+        }
+      }
+      // nested scope, dereference from parent to avoid memory leaks
+      const parent = this.parent
+      const scopes = parent && parent.scopes
+      const index = this.index
+      if (scopes && !fromParent && index != null) {
+        // optimized O(1) removal
+        const last = scopes.pop()
+        if (last && last !== this) {
+          scopes[index] = last
+          last.index = index
+        }
+      }
+      this.parent = undefined
+      this.active = false
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Collect a watcher into the given scope (the active one by default).
+ */
+export function recordEffectScope (
+  effect: Watcher,
+  scope: ?EffectScope = activeEffectScope
+) {
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+  }
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be run when the active effect scope is stopped.
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope` +
+      ` to be associated with.`
+    )
+  }
+}
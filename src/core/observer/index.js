@@ -3,12 +3,17 @@
 import Dep from './dep'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { mapMethods, setMethods, mapKeys, setKeys } from './collection'
+import { createObserverProxy } from './proxy-observer'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  isMap,
+  isSet,
   isObject,
+  hasChanged,
   isPlainObject,
   isPrimitive,
   isUndef,
@@ -18,6 +23,8 @@ import {
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
 
+const NO_INITIAL_VALUE = {}
+
 /**
  * In some cases we may want to disable observation inside a component's
  * update computation.
@@ -38,9 +45,25 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
-
-  constructor (value: any) {
+  shallow: boolean; // only the root level properties are reactive
+  readonly: boolean; // mutations are rejected with a warning in dev
+  path: string; // key path from the readonly root, used in warnings
+  proxy: ?Object; // the Proxy observing the value in proxy mode
+  deps: ?Object; // per-key deps in proxy mode
+
+  constructor (
+    value: any,
+    shallow?: boolean,
+    readonly?: boolean,
+    path?: string,
+    proxy?: boolean
+  ) {
     this.value = value
+    this.shallow = !!shallow
+    this.readonly = !!readonly
+    this.path = path || ''
+    this.proxy = null
+    this.deps = null
 
     // DY: 这个dep的收集框是整个处理对象的
     this.dep = new Dep()
@@ -67,7 +90,12 @@ export class Observer {
         }
       }
      *  */    
-    if (Array.isArray(value)) {
+    if (proxy) {
+      // property access is intercepted by a Proxy instead,
+      // see ./proxy-observer
+      this.deps = Object.create(null)
+      this.proxy = createObserverProxy(value)
+    } else if (Array.isArray(value)) {
       if (hasProto) {
         protoAugment(value, arrayMethods)
       } else {
@@ -75,7 +103,19 @@ export class Observer {
       }
 
       // DY: 监听数组的每一项，为了使数组的元素为对象也能监听到
-      this.observeArray(value)
+      if (!this.shallow) {
+        this.observeArray(value)
+      }
+    } else if (isMap(value) || isSet(value)) {
+      const methods = isMap(value) ? mapMethods : setMethods
+      if (hasProto) {
+        protoAugment(value, methods)
+      } else {
+        copyAugment(value, methods, isMap(value) ? mapKeys : setKeys)
+      }
+      if (!this.shallow) {
+        this.observeCollection(value)
+      }
     } else {
       this.walk(value)
     }
@@ -91,7 +131,7 @@ export class Observer {
     for (let i = 0; i < keys.length; i++) {
 
       // DY: 把所有可枚举的属性分别用 defineReactive 处理
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, null, this.shallow, this.readonly)
     }
   }
 
@@ -100,13 +140,47 @@ export class Observer {
    */
   observeArray (items: Array<any>) {
     for (let i = 0, l = items.length; i < l; i++) {
-      observe(items[i])
+      observe(items[i], false, false, this.readonly, this.readonly ? keyPath(this, i) : '')
     }
   }
+
+  /**
+   * Observe the values held by a Map or Set.
+   */
+  observeCollection (collection: Map<any, any> | Set<any>) {
+    collection.forEach(val => {
+      observe(val, false, false, this.readonly, this.path)
+    })
+  }
 }
 
 // helpers
 
+/**
+ * Build the key path of a property for readonly warnings,
+ * e.g. "list[0].name".
+ */
+function keyPath (ob: ?Observer, key: any): string {
+  if (!ob || !ob.path) {
+    return Array.isArray(ob && ob.value) ? `[${key}]` : String(key)
+  }
+  return Array.isArray(ob.value)
+    ? `${ob.path}[${key}]`
+    : `${ob.path}.${key}`
+}
+
+/**
+ * Warn about a mutation attempt on a readonly object.
+ */
+export function warnReadonly (ob: ?Observer, key: any, operation?: string) {
+  const path = key === undefined ? (ob && ob.path) || '<root>' : keyPath(ob, key)
+  warn(
+    operation
+      ? `${operation}() on "${path}" failed: target is readonly.`
+      : `Set operation on key "${path}" failed: target is readonly.`
+  )
+}
+
 /**
  * Augment a target Object or Array by intercepting
  * the prototype chain using __proto__
@@ -134,7 +208,13 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * returns the new observer if successfully observed,
  * or the existing observer if the value already has one.
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean,
+  readonly?: boolean,
+  path?: string
+): Observer | void {
   if (!isObject(value) || value instanceof VNode) {
     return
   }
@@ -144,15 +224,17 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isMap(value) || isSet(value)) &&
     Object.isExtensible(value) &&
 
     // DY: Vue实例不能检测
-    !value._isVue
+    !value._isVue &&
+    // skip values marked with markRaw()
+    !value.__isRaw
   ) {
 
     // DY: 把数据变为响应式的
-    ob = new Observer(value)
+    ob = new Observer(value, shallow, readonly, path)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -170,7 +252,8 @@ export function defineReactive (
   key: string,
   val: any,
   customSetter?: ?Function,
-  shallow?: boolean
+  shallow?: boolean,
+  readonly?: boolean
 ) {
 
   // DY: 这个dep收集框是对象里面某个属性的
@@ -188,12 +271,17 @@ export function defineReactive (
   const setter = property && property.set
 
   // DY: 当属性拥有原本的 setter 时，即使拥有 getter 也要获取属性值并观测之
-  if ((!getter || setter) && arguments.length === 2) {
+  if ((!getter || setter) && (val === NO_INITIAL_VALUE || arguments.length === 2)) {
     val = obj[key]
+  } else if (val === NO_INITIAL_VALUE) {
+    val = undefined
   }
 
+  // nested values of a readonly object are readonly as well
+  const path = readonly ? keyPath(obj.__ob__, key) : ''
+
   // DY: val不一定有值，所以 observe(val) 有可能返回 undefined | Observer实例（也就是val的__ob__属性）
-  let childOb = !shallow && observe(val)
+  let childOb = !shallow && observe(val, false, false, readonly, path)
   Object.defineProperty(obj, key, {
     enumerable: true,
     configurable: true,
@@ -205,7 +293,11 @@ export function defineReactive (
 
         // DY: 把 Dep.target 收集到当前属性的框里
         // 在当前属性的 set 中由 dep.notify 触发
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
 
           // DY: 把Dep.target 收集到当前属性的 __ob__ 的dep中
@@ -227,13 +319,15 @@ export function defineReactive (
       return value
     },
     set: function reactiveSetter (newVal) {
+      if (readonly) {
+        process.env.NODE_ENV !== 'production' && warnReadonly(obj.__ob__, key)
+        return
+      }
       const value = getter ? getter.call(obj) : val
-      /* eslint-disable no-self-compare */
-      // DY: newVal !== newVal && value !== value 判断NaN
-      if (newVal === value || (newVal !== newVal && value !== value)) {
+      // DY: hasChanged 中判断NaN
+      if (!hasChanged(newVal, value)) {
         return
       }
-      /* eslint-enable no-self-compare */
       if (process.env.NODE_ENV !== 'production' && customSetter) {
         customSetter()
       }
@@ -247,7 +341,11 @@ export function defineReactive (
       childOb = !shallow && observe(newVal)
 
       // DY: 属性值更改，触发当前属性收集的依赖，更新视图
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({ target: obj, type: 'set', key, newValue: newVal, oldValue: value })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -263,16 +361,30 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  const proxyOb = (target: any).__ob__
+  if (proxyOb && proxyOb.proxy && !proxyOb.vmCount) {
+    // the proxy detects new properties on its own
+    proxyOb.proxy[key] = val
+    return val
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key)
     target.splice(key, 1, val)
     return val
   }
+  if (isMap(target)) {
+    (target: any).set(key, val)
+    return val
+  }
   if (key in target && !(key in Object.prototype)) {
     target[key] = val
     return val
   }
   const ob = (target: any).__ob__
+  if (ob && ob.readonly) {
+    process.env.NODE_ENV !== 'production' && warnReadonly(ob, key)
+    return val
+  }
   if (target._isVue || (ob && ob.vmCount)) {
     process.env.NODE_ENV !== 'production' && warn(
       'Avoid adding reactive properties to a Vue instance or its root $data ' +
@@ -284,8 +396,12 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target[key] = val
     return val
   }
-  defineReactive(ob.value, key, val)
-  ob.dep.notify()
+  defineReactive(ob.value, key, val, null, ob.shallow)
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'add', key, newValue: val, oldValue: undefined })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -298,11 +414,28 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  const proxyOb = (target: any).__ob__
+  if (proxyOb && proxyOb.proxy && !proxyOb.vmCount) {
+    if (Array.isArray(target) && isValidArrayIndex(key)) {
+      proxyOb.proxy.splice(key, 1)
+    } else {
+      delete proxyOb.proxy[key]
+    }
+    return
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
     return
   }
+  if (isMap(target) || isSet(target)) {
+    (target: any).delete(key)
+    return
+  }
   const ob = (target: any).__ob__
+  if (ob && ob.readonly) {
+    process.env.NODE_ENV !== 'production' && warnReadonly(ob, key, 'delete')
+    return
+  }
   if (target._isVue || (ob && ob.vmCount)) {
     process.env.NODE_ENV !== 'production' && warn(
       'Avoid deleting properties on a Vue instance or its root $data ' +
@@ -317,7 +450,11 @@ export function del (target: Array<any> | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'delete', key })
+  } else {
+    ob.dep.notify()
+  }
 }
 
 /**
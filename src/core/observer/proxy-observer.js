@@ -0,0 +1,190 @@
+/* @flow */
+
+import config from '../config'
+import Dep, { debugInfo } from './dep'
+import VNode from '../vdom/vnode'
+import { Observer, observe } from './index'
+import {
+  warn,
+  hasOwn,
+  isObject,
+  hasChanged,
+  isNative,
+  isPlainObject,
+  isValidArrayIndex,
+  isServerRendering
+} from '../util/index'
+
+export const hasProxy = typeof Proxy !== 'undefined' && isNative(Proxy)
+
+let warnedNoProxy = false
+
+/**
+ * Resolve whether an instance should observe its data with a Proxy,
+ * from its `proxyObserver` option or the global config. Falls back to
+ * getter/setter conversion when Proxy is not supported.
+ */
+export function shouldUseProxyObserver (option: ?boolean): boolean {
+  const enabled = option != null ? option : config.proxyObserver
+  if (enabled && !hasProxy) {
+    if (process.env.NODE_ENV !== 'production' && !warnedNoProxy) {
+      warnedNoProxy = true
+      warn(
+        'Proxy is not supported in this environment, ' +
+        'falling back to getter/setter based observation.'
+      )
+    }
+    return false
+  }
+  return !!enabled
+}
+
+/**
+ * Observe a value with a Proxy and return the proxy. Unlike getter/setter
+ * conversion, the proxy also detects property addition and deletion,
+ * array index writes and `length` changes. The raw object still carries
+ * its `__ob__` observer, so set/del and deep watchers keep working.
+ *
+ * Values that cannot be proxied (e.g. Map and Set) are observed the usual
+ * way and returned as is.
+ */
+export function observeProxy (value: any, asRootData?: boolean): any {
+  if (!isObject(value) || value instanceof VNode) {
+    return value
+  }
+  let ob: Observer | void
+  if (hasOwn(value, '__ob__') && value.__ob__ instanceof Observer) {
+    ob = value.__ob__
+    if (asRootData) {
+      ob.vmCount++
+    }
+  } else if (
+    hasProxy &&
+    !isServerRendering() &&
+    (Array.isArray(value) || isPlainObject(value)) &&
+    Object.isExtensible(value) &&
+    !value._isVue &&
+    !value.__isRaw
+  ) {
+    ob = new Observer(value, false, false, '', true)
+    if (asRootData) {
+      ob.vmCount++
+    }
+  } else {
+    ob = observe(value, asRootData)
+  }
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+/**
+ * Return the raw object behind an observer proxy.
+ */
+export function toRaw<T> (value: T): T {
+  const ob: any = value && (value: any).__ob__
+  return ob && ob.proxy === value ? ob.value : value
+}
+
+export function createObserverProxy (value: Object): Object {
+  return new Proxy(value, proxyHandlers)
+}
+
+function getKeyDep (ob: Observer, key: string): Dep {
+  const deps: any = ob.deps
+  return deps[key] || (deps[key] = new Dep())
+}
+
+function notifyKey (ob: Observer, key: string, info?: Object) {
+  const dep = ob.deps && ob.deps[key]
+  if (dep) {
+    dep.notify((info: any))
+  }
+}
+
+// Arrays track every read and write on their observer's dep, the same
+// dep that is notified by array mutation methods in getter/setter mode.
+// Plain objects track each key on its own dep, and use the observer's
+// dep for key enumeration, additions and deletions.
+const proxyHandlers = {
+  get (target: Object, key: any, receiver: any) {
+    const value = Reflect.get(target, key, receiver)
+    if (typeof key !== 'string' || key === '__ob__') {
+      return value
+    }
+    const ob: Observer = target.__ob__
+    if (Dep.target) {
+      if (Array.isArray(target)) {
+        ob.dep.depend(debugInfo(target, 'get', key))
+      } else {
+        getKeyDep(ob, key).depend(debugInfo(target, 'get', key))
+      }
+    }
+    // nested values are observed lazily when they are first read
+    if (isObject(value) && hasOwn(target, key)) {
+      const child = observeProxy(value)
+      const childOb = value.__ob__
+      if (Dep.target && childOb) {
+        childOb.dep.depend()
+      }
+      return child
+    }
+    return value
+  },
+
+  set (target: Object, key: any, value: any, receiver: any): boolean {
+    const ob: Observer = target.__ob__
+    const isArray = Array.isArray(target)
+    const hadKey = isArray && isValidArrayIndex(key)
+      ? Number(key) < target.length
+      : hasOwn(target, key)
+    const oldValue = target[key]
+    const oldLength = isArray ? target.length : 0
+    value = toRaw(value)
+    const result = Reflect.set(target, key, value, receiver)
+    if (typeof key !== 'string') {
+      return result
+    }
+    const changed = hasChanged(value, oldValue)
+    if (isArray) {
+      if (!hadKey || changed || target.length !== oldLength) {
+        ob.dep.notify(debugInfo(target, hadKey ? 'set' : 'add', key, value, oldValue))
+      }
+    } else if (!hadKey) {
+      const info = debugInfo(target, 'add', key, value)
+      notifyKey(ob, key, info)
+      ob.dep.notify(info)
+    } else if (changed) {
+      notifyKey(ob, key, debugInfo(target, 'set', key, value, oldValue))
+    }
+    return result
+  },
+
+  deleteProperty (target: Object, key: any): boolean {
+    const hadKey = hasOwn(target, key)
+    const result = Reflect.deleteProperty(target, key)
+    if (hadKey && result && typeof key === 'string') {
+      const ob: Observer = target.__ob__
+      const info = debugInfo(target, 'delete', key)
+      if (!Array.isArray(target)) {
+        notifyKey(ob, key, info)
+      }
+      ob.dep.notify(info)
+    }
+    return result
+  },
+
+  has (target: Object, key: any): boolean {
+    if (Dep.target && typeof key === 'string') {
+      const ob: Observer = target.__ob__
+      const dep = Array.isArray(target) ? ob.dep : getKeyDep(ob, key)
+      dep.depend(debugInfo(target, 'has', key))
+    }
+    return Reflect.has(target, key)
+  },
+
+  ownKeys (target: Object): Array<any> {
+    if (Dep.target) {
+      target.__ob__.dep.depend(debugInfo(target, 'iterate'))
+    }
+    return Reflect.ownKeys(target)
+  }
+}
@@ -0,0 +1,248 @@
+/* @flow */
+
+import Dep from './dep'
+import type { DebuggerEvent } from './dep'
+import Watcher from './watcher'
+import { observe, defineReactive } from './index'
+import { observeProxy, shouldUseProxyObserver } from './proxy-observer'
+import {
+  def,
+  warn,
+  noop,
+  isObject,
+  handleError,
+  isServerRendering
+} from '../util/index'
+
+/**
+ * Standalone reactivity API. These helpers build reactive state,
+ * computed values and effects directly on top of the observer, so
+ * they can be used outside of any component instance. Computed values
+ * and effects are collected by the active effect scope.
+ *
+ * During SSR data is not observed, the same as component state:
+ * computed values are re-evaluated on every access and effects run
+ * once, so reads always return the same values as on the client.
+ */
+
+export type Ref<T> = { value: T };
+
+export type ComputedRef<T> = {
+  value: T;
+  effect: ?Watcher;
+};
+
+export type WatchEffectOptions = {
+  sync?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
+};
+
+/**
+ * Make an object or array reactive in place and return it. When
+ * `Vue.config.proxyObserver` is enabled the observing proxy is returned
+ * instead.
+ */
+export function reactive<T: Object> (target: T): T {
+  return createReactive(target, 'reactive', false, false)
+}
+
+/**
+ * Like reactive(), but only the root level properties are reactive.
+ * Nested values are stored as-is and never converted.
+ */
+export function shallowReactive<T: Object> (target: T): T {
+  return createReactive(target, 'shallowReactive', true, false)
+}
+
+/**
+ * Make an object deeply readonly in place and return it. Mutations of
+ * the object or any nested value are rejected, with a warning naming
+ * the key path in development.
+ */
+export function readonly<T: Object> (target: T): T {
+  return createReactive(target, 'readonly', false, true)
+}
+
+function createReactive (target: any, api: string, shallow: boolean, isReadonly: boolean) {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `${api}() can only be called on objects or arrays, got: ${String(target)}`
+    )
+    return target
+  }
+  const existing = target.__ob__
+  if (existing) {
+    if (process.env.NODE_ENV !== 'production' &&
+      (existing.shallow !== shallow || existing.readonly !== isReadonly)
+    ) {
+      warn(`Target is already observed and cannot be converted by ${api}().`)
+    }
+    return existing.proxy || target
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    if (target.__isRaw) {
+      warn(`Target is marked raw and cannot be converted by ${api}().`)
+    } else if (!Object.isExtensible(target)) {
+      warn(`Target is not extensible and cannot be made reactive: ${String(target)}`)
+    }
+  }
+  if (!shallow && !isReadonly && shouldUseProxyObserver()) {
+    return observeProxy(target)
+  }
+  observe(target, false, shallow, isReadonly)
+  return target
+}
+
+/**
+ * Check if an object has been made reactive (including shallow).
+ */
+export function isReactive (value: any): boolean {
+  return !!(value && value.__ob__ && !value.__ob__.readonly)
+}
+
+export function isShallow (value: any): boolean {
+  return !!(value && value.__ob__ && value.__ob__.shallow)
+}
+
+export function isReadonly (value: any): boolean {
+  return !!(value && value.__ob__ && value.__ob__.readonly)
+}
+
+/**
+ * Mark an object so that it is never converted by the observer, e.g.
+ * large immutable payloads or third party class instances.
+ */
+export function markRaw<T: Object> (value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) {
+    def(value, '__isRaw', true)
+  }
+  return value
+}
+
+/**
+ * Wrap a value in a reactive reference with a single `value` property.
+ * Object values are made reactive as well.
+ */
+export function ref<T> (value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const r = {}
+  def(r, '__isRef', true)
+  defineReactive(r, 'value', value)
+  return (r: any)
+}
+
+export function isRef (r: any): boolean {
+  return !!(r && r.__isRef === true)
+}
+
+/**
+ * Return the inner value of a ref, or the value itself if it is not one.
+ */
+export function unref<T> (r: T | Ref<T>): T {
+  return isRef(r) ? (r: any).value : (r: any)
+}
+
+/**
+ * Create a lazily evaluated ref from a getter. The value is cached until
+ * one of the dependencies it read changes. Stop it with
+ * `computedRef.effect.teardown()`.
+ */
+export function computed<T> (
+  getterOrOptions: (() => T) | { get: () => T, set?: (v: T) => void }
+): ComputedRef<T> {
+  let getter, setter
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+    setter = process.env.NODE_ENV !== 'production'
+      ? () => { warn('Write operation failed: computed value is readonly.') }
+      : noop
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set || noop
+  }
+
+  const watcher = isServerRendering()
+    ? null
+    : new Watcher(null, getter, noop, { lazy: true })
+
+  const r = {}
+  def(r, '__isRef', true)
+  def(r, 'effect', watcher)
+  const valueDef = {}
+  valueDef.enumerable = true
+  valueDef.configurable = true
+  valueDef.get = function () {
+    if (!watcher) {
+      return getter()
+    }
+    if (watcher.dirty) {
+      watcher.evaluate()
+    }
+    if (Dep.target) {
+      watcher.depend()
+    }
+    return watcher.value
+  }
+  valueDef.set = setter
+  Object.defineProperty(r, 'value', valueDef)
+  return (r: any)
+}
+
+/**
+ * Run a function immediately while tracking its reactive dependencies,
+ * and re-run it whenever they change. The effect receives an `onCleanup`
+ * function to register a callback that runs before the next re-run and
+ * when the effect is stopped. Returns a function that stops the effect.
+ */
+export function watchEffect (
+  effect: (onCleanup: (fn: Function) => void) => any,
+  options?: WatchEffectOptions
+): () => void {
+  let cleanup: ?Function
+  const onCleanup = (fn: Function) => {
+    cleanup = fn
+  }
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup
+      cleanup = null
+      try {
+        fn()
+      } catch (e) {
+        handleError(e, null, 'watchEffect cleanup')
+      }
+    }
+  }
+
+  if (isServerRendering()) {
+    try {
+      effect(onCleanup)
+    } catch (e) {
+      handleError(e, null, 'watchEffect')
+    }
+    return noop
+  }
+
+  const watcher = new Watcher(null, () => {
+    runCleanup()
+    return effect(onCleanup)
+  }, noop, {
+    user: true,
+    sync: !!(options && options.sync),
+    flush: options && options.flush,
+    onTrack: options && options.onTrack,
+    onTrigger: options && options.onTrigger
+  })
+  watcher.onStop = runCleanup
+  if (process.env.NODE_ENV !== 'production') {
+    watcher.expression = 'watchEffect'
+  }
+
+  return function stop () {
+    watcher.teardown()
+  }
+}
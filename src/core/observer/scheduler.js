@@ -1,6 +1,7 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
@@ -9,15 +10,27 @@ import {
   nextTick,
   devtools,
   inBrowser,
-  isIE
+  isIE,
+  handleError,
+  formatComponentName
 } from '../util/index'
 
+// default for config.maxUpdateCount
 export const MAX_UPDATE_COUNT = 100
 
+// what caused a watcher to be queued again during a flush,
+// only recorded in development builds
+type UpdateTrigger = {
+  by: ?Watcher;
+  info: ?DebuggerEventExtraInfo;
+};
+
 const queue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
+const postFlushCbs: Array<Function> = []
 let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
+let triggers: { [key: number]: UpdateTrigger } = {}
 let waiting = false
 let flushing = false
 let index = 0
@@ -30,6 +43,7 @@ function resetSchedulerState () {
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    triggers = {}
   }
   waiting = flushing = false
 }
@@ -65,6 +79,18 @@ if (inBrowser && !isIE) {
   }
 }
 
+/**
+ * Watchers with `flush: 'post'` are run after every other watcher, so
+ * that they see the DOM after all components have been patched.
+ * Other watchers are run in the order they were created.
+ */
+function compareWatchers (a: Watcher, b: Watcher): number {
+  if (!a.post !== !b.post) {
+    return a.post ? 1 : -1
+  }
+  return a.id - b.id
+}
+
 /**
  * Flush both queues and run the watchers.
  */
@@ -81,9 +107,10 @@ function flushSchedulerQueue () {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
+  // 4. Post-flush watchers are run after all components have been updated.
 
   // DY: 把 watcher 队列按 id 的升序排列
-  queue.sort((a, b) => a.id - b.id)
+  queue.sort(compareWatchers)
 
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
@@ -97,16 +124,17 @@ function flushSchedulerQueue () {
 
     // DY: 执行watcher 的 run
     watcher.run()
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
+    // in dev build, check and stop circular updates. Every run is counted
+    // so that watchers re-queueing each other are caught as well.
+    if (process.env.NODE_ENV !== 'production') {
       circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
+      if (circular[id] > config.maxUpdateCount) {
         warn(
           'You may have an infinite update loop ' + (
             watcher.user
               ? `in watcher with expression "${watcher.expression}"`
               : `in a component render function.`
-          ),
+          ) + formatUpdateCycle(watcher),
           watcher.vm
         )
         break
@@ -127,6 +155,8 @@ function flushSchedulerQueue () {
   // DY: 执行 updated 钩子
   callUpdatedHooks(updatedQueue)
 
+  flushPostFlushCbs()
+
   // devtool hook
   /* istanbul ignore if */
   if (devtools && config.devtools) {
@@ -134,17 +164,87 @@ function flushSchedulerQueue () {
   }
 }
 
+/**
+ * Follow the recorded triggers back from a watcher that keeps being
+ * re-queued, to show which watchers and keys queue each other.
+ */
+function formatUpdateCycle (watcher: Watcher): string {
+  const lines = []
+  const seen = {}
+  let cur = watcher
+  while (cur && !seen[cur.id] && triggers[cur.id]) {
+    seen[cur.id] = true
+    const { by, info } = triggers[cur.id]
+    lines.push(
+      `${describeWatcher(cur)} was queued` +
+      (by ? ` by ${describeWatcher(by)}` : '') +
+      (info ? `, changing ${describeKey(info)}` : '')
+    )
+    cur = by
+  }
+  return lines.length
+    ? `\n\nUpdate cycle:\n${lines.map(line => `  ${line}`).join('\n')}\n`
+    : ''
+}
+
+function describeWatcher (watcher: Watcher): string {
+  const vm = watcher.vm
+  if (vm && vm._watcher === watcher) {
+    return `render function of ${formatComponentName(vm, false)}`
+  }
+  return `watcher "${watcher.expression}"` +
+    (vm ? ` in ${formatComponentName(vm, false)}` : '')
+}
+
+function describeKey (info: DebuggerEventExtraInfo): string {
+  if (info.type === 'array mutation') {
+    return `an array with ${String(info.key)}()`
+  }
+  if (info.key === undefined) {
+    return `a collection (${info.type})`
+  }
+  return `key "${String(info.key)}"` +
+    (info.type !== 'set' ? ` (${info.type})` : '')
+}
+
 function callUpdatedHooks (queue) {
   let i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
 }
 
+function flushPostFlushCbs () {
+  // callbacks queued by other callbacks are run in the same pass
+  while (postFlushCbs.length) {
+    const cbs = postFlushCbs.slice()
+    postFlushCbs.length = 0
+    for (let i = 0; i < cbs.length; i++) {
+      try {
+        cbs[i]()
+      } catch (e) {
+        handleError(e, null, 'post-flush callback')
+      }
+    }
+  }
+}
+
+/**
+ * Queue a callback to be run once the current (or next) scheduler flush
+ * is done, i.e. after all components have been patched and their
+ * updated hooks called. The same callback is only queued once per flush.
+ */
+export function queuePostFlushCb (cb: Function) {
+  if (postFlushCbs.indexOf(cb) === -1) {
+    postFlushCbs.push(cb)
+  }
+  scheduleFlush()
+}
+
 /**
  * Queue a kept-alive component that was activated during patch.
  * The queue will be processed after the entire tree has been patched.
@@ -170,8 +270,11 @@ function callActivatedHooks (queue) {
  */
 
 // DY: 将观察者放到一个队列中等待所有突变完成之后统一执行更新
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventExtraInfo) {
   const id = watcher.id
+  if (process.env.NODE_ENV !== 'production' && flushing) {
+    triggers[id] = { by: queue[index], info }
+  }
 
   // DY: 一次队列更新中，避免将相同的 watcher 重复入队
   if (has[id] == null) {
@@ -187,26 +290,29 @@ export function queueWatcher (watcher: Watcher) {
       // if already flushing, splice the watcher based on its id
       // if already past its id, it will be run next immediately.
       let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && compareWatchers(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
     }
 
     // queue the flush
+    scheduleFlush()
+  }
+}
 
-    // DY: waiting 确保一次只执行一个 nextTick
-    // 下一次事件循环开始前，会执行很多次 queueWatcher，但是都只会收集 watcher
-    if (!waiting) {
-      waiting = true
-
-      if (process.env.NODE_ENV !== 'production' && !config.async) {
-        flushSchedulerQueue()
-        return
-      }
+function scheduleFlush () {
+  // DY: waiting 确保一次只执行一个 nextTick
+  // 下一次事件循环开始前，会执行很多次 queueWatcher，但是都只会收集 watcher
+  if (!waiting) {
+    waiting = true
 
-      // DY: flushSchedulerQueue 将会在下一次事件循环开始时立即调用
-      nextTick(flushSchedulerQueue)
+    if (process.env.NODE_ENV !== 'production' && !config.async) {
+      flushSchedulerQueue()
+      return
     }
+
+    // DY: flushSchedulerQueue 将会在下一次事件循环开始时立即调用
+    nextTick(flushSchedulerQueue)
   }
 }
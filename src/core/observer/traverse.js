@@ -1,6 +1,6 @@
 /* @flow */
 
-import { _Set as Set, isObject } from '../util/index'
+import { _Set as Set, isObject, isMap, isSet } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
 
@@ -48,6 +48,8 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isMap(val) || isSet(val)) {
+    val.forEach(v => _traverse(v, seen))
   } else {
     keys = Object.keys(val)
     i = keys.length
@@ -14,8 +14,10 @@ import {
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { recordEffectScope } from './effect-scope'
 
 import type { SimpleSet } from '../util/index'
+import type { DebuggerEvent, DebuggerEventExtraInfo } from './dep'
 
 let uid = 0
 
@@ -27,7 +29,7 @@ let uid = 0
 
 // DY: watcher的原理是通过对被观察的目标求值，触发数据属性的get，从而收集依赖
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -35,6 +37,7 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  post: boolean;
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -42,12 +45,15 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  onStop: ?Function;
+  onTrack: ?(event: DebuggerEvent) => void;
+  onTrigger: ?(event: DebuggerEvent) => void;
   getter: Function;
   value: any;
 
   constructor (
     // DY: 当前的实例
-    vm: Component,
+    vm: ?Component,
     // DY: 被观察的目标
     expOrFn: string | Function,
     cb: Function,
@@ -58,14 +64,20 @@ export default class Watcher {
     // DY: 保存vm，指明这个观察者是属于哪一个组件的
     this.vm = vm
 
-    // DY: 如果是渲染函数的watcher，把当前watcher保存到 _watcher
-    if (isRenderWatcher) {
-      vm._watcher = this
+    // standalone watchers (e.g. created by watchEffect) have no owner vm
+    if (vm) {
+      // DY: 如果是渲染函数的watcher，把当前watcher保存到 _watcher
+      if (isRenderWatcher) {
+        vm._watcher = this
+      }
+
+      // DY: 属于该组件的观察者都会被添加到该组件的 _watchers 数组中
+      // 包括渲染函数的观察者和非渲染函数的观察者
+      vm._watchers.push(this)
     }
 
-    // DY: 属于该组件的观察者都会被添加到该组件的 _watchers 数组中
-    // 包括渲染函数的观察者和非渲染函数的观察者
-    vm._watchers.push(this)
+    // collect into the active effect scope, if any
+    recordEffectScope(this)
 
     // options
     if (options) {
@@ -80,12 +92,30 @@ export default class Watcher {
       this.lazy = !!options.lazy
 
       // DY: 当数据改变时，当前观察者是否同步求值并则执行回调
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync'
+
+      // flush timing for user watchers: 'pre' (default) runs with the
+      // component updates, 'post' runs after the whole tree is patched
+      this.post = options.flush === 'post'
+      if (process.env.NODE_ENV !== 'production' &&
+        options.flush != null &&
+        options.flush !== 'pre' && !this.sync && !this.post
+      ) {
+        warn(
+          `Invalid watch option "flush": expected "pre", "post" or "sync", ` +
+          `got "${String(options.flush)}".`,
+          vm
+        )
+      }
 
       // DY: 当数据变化后，触发更新前，执行的钩子函数
       this.before = options.before
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.post = false
     }
 
     this.cb = cb
@@ -233,7 +263,7 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
     // DY: 如果是惰性的watcher，把dirty设置为true，标记当前watcher的value不是最新的
     if (this.lazy) {
@@ -241,7 +271,7 @@ export default class Watcher {
     } else if (this.sync) {
       this.run()
     } else {
-      queueWatcher(this)
+      queueWatcher(this, info)
     }
   }
 
@@ -310,8 +340,9 @@ export default class Watcher {
       // if the vm is being destroyed.
 
       // DY: 如果组件还没有销毁，就把当前 watcher 从组件的 _watchers 中删除
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
 
       // DY: 将当前观察者实例对象从所有的 Dep 实例对象中移除
@@ -320,6 +351,9 @@ export default class Watcher {
         this.deps[i].removeSub(this)
       }
       this.active = false
+      if (this.onStop) {
+        this.onStop()
+      }
     }
   }
 }
@@ -133,6 +133,38 @@ else {
   }
 }
 
+const defaultTimerFunc = timerFunc
+
+/**
+ * Replace the strategy used to defer the flush of nextTick callbacks.
+ * The timer receives the flush function and should call it later, e.g.
+ * `flush => requestAnimationFrame(flush)`, or immediately for a
+ * synchronous test scheduler. Pass null to restore the default.
+ */
+export function setNextTickTimer (timer: ?(flush: Function) => any) {
+  if (timer) {
+    const customTimer = timer
+    timerFunc = () => { customTimer(flushCallbacks) }
+  } else {
+    timerFunc = defaultTimerFunc
+  }
+  // the previous timer may never fire, so a queued flush is scheduled again
+  if (pending) {
+    timerFunc()
+  }
+}
+
+/**
+ * Synchronously run all pending nextTick callbacks, which includes
+ * flushing the watcher queue. Callbacks queued while flushing are run
+ * as well. Mostly useful for test harnesses.
+ */
+export function flushNextTick () {
+  while (callbacks.length) {
+    flushCallbacks()
+  }
+}
+
 export function nextTick (cb?: Function, ctx?: Object) {
   let _resolve
 
@@ -151,17 +183,22 @@ export function nextTick (cb?: Function, ctx?: Object) {
     }
   })
 
-  // DY: 回调队列是否处于等待刷新的状态
-  if (!pending) {
-    pending = true
-    timerFunc()
-  }
-
+  // create the promise before the flush is scheduled, in case a custom
+  // timer flushes synchronously
+  let promise
   // $flow-disable-line
   // DY: 没有传回调函数
   if (!cb && typeof Promise !== 'undefined') {
-    return new Promise(resolve => {
+    promise = new Promise(resolve => {
       _resolve = resolve
     })
   }
+
+  // DY: 回调队列是否处于等待刷新的状态
+  if (!pending) {
+    pending = true
+    timerFunc()
+  }
+
+  return promise
 }
@@ -70,6 +70,8 @@ export function FunctionalRenderContext (
   if (isCompiled) {
     // exposing $options for renderStatic()
     this.$options = options
+    // functions cached by the render code only live for a single render
+    this._cache = []
     // pre-resolve slots for renderSlot()
     this.$slots = this.slots()
     this.$scopedSlots = normalizeScopedSlots(data.scopedSlots, this.$slots)
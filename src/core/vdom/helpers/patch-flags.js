@@ -0,0 +1,25 @@
+/* @flow */
+
+import { isDef } from 'shared/util'
+
+/**
+ * Return the compiler generated patch flag of an element vnode, or -1
+ * when the old vnode was not rendered from the same element data and the
+ * vnode has to be fully diffed.
+ */
+export function getPatchFlag (oldVnode: VNodeWithData, vnode: VNodeWithData): number {
+  const data = vnode.data
+  const oldData = oldVnode.data
+  if (
+    data && oldData &&
+    isDef(data.patchFlag) &&
+    data.patchFlag === oldData.patchFlag &&
+    data.patchKey === oldData.patchKey &&
+    // the root of a component also receives the class and style
+    // of its placeholder vnode
+    !vnode.parent
+  ) {
+    return (data.patchFlag: any)
+  }
+  return -1
+}
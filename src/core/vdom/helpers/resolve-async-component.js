@@ -40,6 +40,29 @@ export function createAsyncPlaceholder (
   return node
 }
 
+/**
+ * Call `cb` once the factory of a pending async component has resolved or
+ * failed. Returns false if it has already settled.
+ */
+export function onAsyncComponentSettled (factory: Function, cb: Function): boolean {
+  if (isDef(factory.resolved) || isTrue(factory.settled)) {
+    return false
+  }
+  (factory.settledCbs || (factory.settledCbs = [])).push(cb)
+  return true
+}
+
+function settle (factory: Function) {
+  const cbs = factory.settledCbs
+  factory.settled = true
+  factory.settledCbs = undefined
+  if (cbs) {
+    for (let i = 0; i < cbs.length; i++) {
+      cbs[i]()
+    }
+  }
+}
+
 export function resolveAsyncComponent (
   factory: Function,
   baseCtor: Class<Component>
@@ -98,6 +121,7 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settle(factory)
     })
 
     const reject = once(reason => {
@@ -109,6 +133,7 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      settle(factory)
     })
 
     const res = factory(resolve, reject)
@@ -12,10 +12,13 @@
 
 import VNode, { cloneVNode } from './vnode'
 import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, SSR_CLIENT_MARKER, PatchFlags } from 'shared/constants'
 import { registerRef } from './modules/ref'
+import { getPatchFlag } from './helpers/patch-flags'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
+import { onAsyncComponentSettled } from './helpers/resolve-async-component'
+import { registerAsyncDep, isPendingSegment } from '../components/suspense'
 import { isTextInputType } from 'web/util/element'
 
 import {
@@ -39,6 +42,7 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -57,7 +61,7 @@ function sameInputType (a, b) {
   return typeA === typeB || isTextInputType(typeA) && isTextInputType(typeB)
 }
 
-function createKeyToOldIdx (children, beginIdx, endIdx) {
+function createKeyToIdx (children, beginIdx, endIdx) {
   let i, key
   const map = {}
   for (i = beginIdx; i <= endIdx; ++i) {
@@ -67,6 +71,39 @@ function createKeyToOldIdx (children, beginIdx, endIdx) {
   return map
 }
 
+// indexes of a longest increasing subsequence of the non-zero values of
+// arr, in O(n log n)
+function getSequence (arr) {
+  // tails[k] is the index of the smallest value ending an increasing
+  // subsequence of length k + 1
+  const tails = []
+  const prev = []
+  let i, lo, hi, mid
+  for (i = 0; i < arr.length; i++) {
+    if (arr[i] === 0) continue
+    lo = 0
+    hi = tails.length
+    while (lo < hi) {
+      mid = (lo + hi) >> 1
+      if (arr[tails[mid]] < arr[i]) {
+        lo = mid + 1
+      } else {
+        hi = mid
+      }
+    }
+    if (lo > 0) prev[i] = tails[lo - 1]
+    tails[lo] = i
+  }
+  // walk the subsequence back from its last index
+  hi = tails.length
+  i = tails[hi - 1]
+  while (hi-- > 0) {
+    tails[hi] = i
+    i = prev[i]
+  }
+  return tails
+}
+
 export function createPatchFunction (backend) {
   let i, j
   const cbs = {}
@@ -83,19 +120,89 @@ export function createPatchFunction (backend) {
   }
 
   function emptyNodeAt (elm) {
-    return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
+    // server-rendered fragments start with a comment
+    const tag = nodeOps.tagName(elm)
+    return new VNode(tag && tag.toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        removeVnodeElm(vnode)
       }
     }
     remove.listeners = listeners
     return remove
   }
 
+  // the fragment rendered by a vnode, following component roots
+  function getFragment (vnode) {
+    let i
+    while (isDef(i = vnode.componentInstance) && isDef(i = i._vnode)) {
+      vnode = i
+    }
+    return isTrue(vnode.isFragment) ? vnode : undefined
+  }
+
+  // the last DOM node of a vnode: the end anchor of fragments
+  function getLastElm (vnode) {
+    const fragment = getFragment(vnode)
+    return isDef(fragment) ? fragment.anchor : vnode.elm
+  }
+
+  // insert or move all the DOM nodes of a vnode, the children of
+  // teleports stay in their target
+  function insertVnode (parent, vnode, ref) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      const children = fragment.children
+      insert(parent, fragment.elm, ref)
+      if (isUndef(fragment.targetAnchor)) {
+        for (let i = 0; i < children.length; ++i) {
+          insertVnode(parent, children[i], ref)
+        }
+      }
+      insert(parent, fragment.anchor, ref)
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  function removeVnodeElm (vnode) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      const children = fragment.children
+      removeNode(fragment.elm)
+      for (let i = 0; i < children.length; ++i) {
+        removeVnodeElm(children[i])
+      }
+      removeNode(fragment.anchor)
+      if (isDef(fragment.targetAnchor)) {
+        removeNode(fragment.targetAnchor)
+      }
+    } else {
+      removeNode(vnode.elm)
+    }
+  }
+
+  // pending async components delay the closest suspense boundary
+  function trackAsyncComponent (factory) {
+    if (isUndef(factory.resolved) && !isTrue(factory.settled)) {
+      const settle = registerAsyncDep(activeInstance, factory)
+      if (settle) {
+        onAsyncComponentSettled(factory, settle)
+      }
+    }
+  }
+
+  // the target of an enabled teleport
+  function getTeleportTarget (vnode) {
+    const data = vnode.data
+    if (isDef(data) && isDef(data.teleport) && !data.teleport.disabled) {
+      return data.teleport.target
+    }
+  }
+
   function removeNode (el) {
     const parent = nodeOps.parentNode(el)
     // element may have already been removed due to v-html / v-text
@@ -141,6 +248,9 @@ export function createPatchFunction (backend) {
     }
 
     vnode.isRootInsert = !nested // for transition enter check
+    if (isDef(vnode.asyncFactory)) {
+      trackAsyncComponent(vnode.asyncFactory)
+    }
     if (createComponent(vnode, insertedVnodeQueue, parentElm, refElm)) {
       return
     }
@@ -198,6 +308,29 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         creatingElmInVPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      // the children are inserted between two empty text nodes, the first
+      // one is the elm of the vnode
+      vnode.elm = nodeOps.createTextNode('')
+      vnode.anchor = nodeOps.createTextNode('')
+      insert(parentElm, vnode.elm, refElm)
+      if (process.env.NODE_ENV !== 'production') {
+        checkDuplicateKeys(children)
+      }
+      // teleported children are appended to the target, before an anchor
+      // that keeps their place among the content of other teleports
+      const target = getTeleportTarget(vnode)
+      let childParent = parentElm
+      let childRef = refElm
+      if (isDef(target)) {
+        vnode.targetAnchor = childRef = nodeOps.createTextNode('')
+        nodeOps.appendChild(target, childRef)
+        childParent = target
+      }
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, childParent, childRef, true, children, i)
+      }
+      insert(parentElm, vnode.anchor, refElm)
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
@@ -220,7 +353,7 @@ export function createPatchFunction (backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -266,7 +399,7 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   function insert (parent, elm, ref) {
@@ -365,6 +498,13 @@ export function createPatchFunction (backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeVnodes(ch.children, 0, ch.children.length - 1)
+          removeNode(ch.elm)
+          removeNode(ch.anchor)
+          if (isDef(ch.targetAnchor)) {
+            removeNode(ch.targetAnchor)
+          }
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -382,7 +522,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -401,16 +541,11 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
-    let oldStartIdx = 0
-    let newStartIdx = 0
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, anchor) {
+    let i = 0
     let oldEndIdx = oldCh.length - 1
-    let oldStartVnode = oldCh[0]
-    let oldEndVnode = oldCh[oldEndIdx]
     let newEndIdx = newCh.length - 1
-    let newStartVnode = newCh[0]
-    let newEndVnode = newCh[newEndIdx]
-    let oldKeyToIdx, idxInOld, vnodeToMove, refElm
+    let j, newIdx, oldVnode, refElm
 
     // removeOnly is a special flag used only by <transition-group>
     // to ensure removed elements stay in correct relative positions
@@ -421,55 +556,95 @@ export function createPatchFunction (backend) {
       checkDuplicateKeys(newCh)
     }
 
-    while (oldStartIdx <= oldEndIdx && newStartIdx <= newEndIdx) {
-      if (isUndef(oldStartVnode)) {
-        oldStartVnode = oldCh[++oldStartIdx] // Vnode has been moved left
-      } else if (isUndef(oldEndVnode)) {
-        oldEndVnode = oldCh[--oldEndIdx]
-      } else if (sameVnode(oldStartVnode, newStartVnode)) {
-        patchVnode(oldStartVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        oldStartVnode = oldCh[++oldStartIdx]
-        newStartVnode = newCh[++newStartIdx]
-      } else if (sameVnode(oldEndVnode, newEndVnode)) {
-        patchVnode(oldEndVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
-        patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
-        oldStartVnode = oldCh[++oldStartIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
-        patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newStartVnode = newCh[++newStartIdx]
-      } else {
-        if (isUndef(oldKeyToIdx)) oldKeyToIdx = createKeyToOldIdx(oldCh, oldStartIdx, oldEndIdx)
-        idxInOld = isDef(newStartVnode.key)
-          ? oldKeyToIdx[newStartVnode.key]
-          : findIdxInOld(newStartVnode, oldCh, oldStartIdx, oldEndIdx)
-        if (isUndef(idxInOld)) { // New element
-          createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
+    // 1. common head
+    while (i <= oldEndIdx && i <= newEndIdx && sameVnode(oldCh[i], newCh[i])) {
+      patchVnode(oldCh[i], newCh[i], insertedVnodeQueue, newCh, i)
+      i++
+    }
+    // 2. common tail
+    while (i <= oldEndIdx && i <= newEndIdx && sameVnode(oldCh[oldEndIdx], newCh[newEndIdx])) {
+      patchVnode(oldCh[oldEndIdx], newCh[newEndIdx], insertedVnodeQueue, newCh, newEndIdx)
+      oldEndIdx--
+      newEndIdx--
+    }
+
+    if (i > oldEndIdx) {
+      // 3. only additions left,
+      // the children of fragments are inserted before the end anchor
+      refElm = isUndef(newCh[newEndIdx + 1]) ? anchor : newCh[newEndIdx + 1].elm
+      addVnodes(parentElm, refElm, newCh, i, newEndIdx, insertedVnodeQueue)
+      return
+    }
+    if (i > newEndIdx) {
+      // 4. only removals left
+      removeVnodes(oldCh, i, oldEndIdx)
+      return
+    }
+
+    // 5. unknown sequence: patch the old vnodes found in the new children
+    // and remove the others
+    const oldStartIdx = i
+    const newStartIdx = i
+    const newKeyToIdx = createKeyToIdx(newCh, newStartIdx, newEndIdx)
+    const toBePatched = newEndIdx - newStartIdx + 1
+    // index + 1 of the old vnode patched into each new vnode, 0 for new ones
+    const newIdxToOldIdx = new Array(toBePatched)
+    let patched = 0
+    let moved = false
+    let maxNewIdx = 0
+    for (j = 0; j < toBePatched; j++) newIdxToOldIdx[j] = 0
+
+    for (i = oldStartIdx; i <= oldEndIdx; i++) {
+      oldVnode = oldCh[i]
+      newIdx = undefined
+      if (patched < toBePatched) {
+        if (isDef(oldVnode.key)) {
+          newIdx = newKeyToIdx[oldVnode.key]
         } else {
-          vnodeToMove = oldCh[idxInOld]
-          if (sameVnode(vnodeToMove, newStartVnode)) {
-            patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-            oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
-          } else {
-            // same key but different element. treat as new element
-            createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
+          for (j = newStartIdx; j <= newEndIdx; j++) {
+            if (newIdxToOldIdx[j - newStartIdx] === 0 && sameVnode(oldVnode, newCh[j])) {
+              newIdx = j
+              break
+            }
           }
         }
-        newStartVnode = newCh[++newStartIdx]
+      }
+      if (
+        isUndef(newIdx) ||
+        newIdxToOldIdx[newIdx - newStartIdx] !== 0 ||
+        // same key but different element, the new one is created
+        !sameVnode(oldVnode, newCh[newIdx])
+      ) {
+        removeVnodes(oldCh, i, i)
+      } else {
+        newIdxToOldIdx[newIdx - newStartIdx] = i + 1
+        if (newIdx >= maxNewIdx) {
+          maxNewIdx = newIdx
+        } else {
+          moved = true
+        }
+        patchVnode(oldVnode, newCh[newIdx], insertedVnodeQueue, newCh, newIdx)
+        patched++
       }
     }
-    if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
-      addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
-    } else if (newStartIdx > newEndIdx) {
-      removeVnodes(oldCh, oldStartIdx, oldEndIdx)
+
+    // 6. create and move from the end so that the next vnode is always in
+    // place. The vnodes forming the longest increasing subsequence of old
+    // indexes keep their position, only the others are moved.
+    const sequence = moved ? getSequence(newIdxToOldIdx) : []
+    j = sequence.length - 1
+    for (i = toBePatched - 1; i >= 0; i--) {
+      newIdx = newStartIdx + i
+      refElm = isUndef(newCh[newIdx + 1]) ? anchor : newCh[newIdx + 1].elm
+      if (newIdxToOldIdx[i] === 0) {
+        createElm(newCh[newIdx], insertedVnodeQueue, parentElm, refElm, false, newCh, newIdx)
+      } else if (moved) {
+        if (j >= 0 && sequence[j] === i) {
+          j--
+        } else {
+          canMove && insertVnode(parentElm, newCh[newIdx], refElm)
+        }
+      }
     }
   }
 
@@ -491,13 +666,6 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function findIdxInOld (node, oldCh, start, end) {
-    for (let i = start; i < end; i++) {
-      const c = oldCh[i]
-      if (isDef(c) && sameVnode(node, c)) return i
-    }
-  }
-
   function patchVnode (
     oldVnode,
     vnode,
@@ -518,9 +686,15 @@ export function createPatchFunction (backend) {
     const elm = vnode.elm = oldVnode.elm
 
     if (isTrue(oldVnode.isAsyncPlaceholder)) {
-      if (isDef(vnode.asyncFactory.resolved)) {
+      // async components are hydrated once resolved, fragments once the
+      // server has streamed their content
+      if (isDef(vnode.asyncFactory)
+        ? isDef(vnode.asyncFactory.resolved)
+        : !isPendingSegment(elm)
+      ) {
         hydrate(oldVnode.elm, vnode, insertedVnodeQueue)
       } else {
+        vnode.anchor = oldVnode.anchor
         vnode.isAsyncPlaceholder = true
       }
       return
@@ -539,6 +713,12 @@ export function createPatchFunction (backend) {
       return
     }
 
+    if (isTrue(vnode.isFragment)) {
+      vnode.anchor = oldVnode.anchor
+      patchFragment(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+      return
+    }
+
     let i
     const data = vnode.data
     if (isDef(data) && isDef(i = data.hook) && isDef(i = i.prepatch)) {
@@ -553,7 +733,16 @@ export function createPatchFunction (backend) {
     }
     if (isUndef(vnode.text)) {
       if (isDef(oldCh) && isDef(ch)) {
-        if (oldCh !== ch) updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+        if (oldCh !== ch) {
+          const patchFlag = isDef(data) ? getPatchFlag(oldVnode, vnode) : -1
+          if (patchFlag > 0 && (patchFlag & PatchFlags.TEXT) && oldCh.length === 1 && ch.length === 1) {
+            patchText(oldCh[0], ch[0])
+          } else if (patchFlag > 0 && (patchFlag & PatchFlags.UNKEYED_FRAGMENT)) {
+            patchUnkeyedChildren(elm, oldCh, ch, insertedVnodeQueue)
+          } else {
+            updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+          }
+        }
       } else if (isDef(ch)) {
         if (process.env.NODE_ENV !== 'production') {
           checkDuplicateKeys(ch)
@@ -573,6 +762,35 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // the only child of the element is a dynamic text node
+  function patchText (oldVnode, vnode) {
+    const elm = vnode.elm = oldVnode.elm
+    if (oldVnode.text !== vnode.text) {
+      nodeOps.setTextContent(elm, vnode.text)
+    }
+  }
+
+  // the children are rendered by a v-for without keys, so they can be
+  // patched in place by index without looking for moved nodes.
+  function patchUnkeyedChildren (parentElm, oldCh, newCh, insertedVnodeQueue) {
+    const commonLength = Math.min(oldCh.length, newCh.length)
+    for (let i = 0; i < commonLength; i++) {
+      const oldVnode = oldCh[i]
+      const vnode = newCh[i]
+      if (sameVnode(oldVnode, vnode)) {
+        patchVnode(oldVnode, vnode, insertedVnodeQueue, newCh, i)
+      } else {
+        createElm(vnode, insertedVnodeQueue, parentElm, oldVnode.elm, false, newCh, i)
+        removeVnodes(oldCh, i, i)
+      }
+    }
+    if (newCh.length > commonLength) {
+      addVnodes(parentElm, null, newCh, commonLength, newCh.length - 1, insertedVnodeQueue)
+    } else if (oldCh.length > commonLength) {
+      removeVnodes(oldCh, commonLength, oldCh.length - 1)
+    }
+  }
+
   function invokeInsertHook (vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
     // element is really inserted
@@ -593,16 +811,70 @@ export function createPatchFunction (backend) {
   const isRenderedModule = makeMap('attrs,class,staticClass,staticStyle,key')
 
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
+  function patchFragment (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const ch = vnode.children
+    let targetAnchor = oldVnode.targetAnchor
+    // patch the children where they are, then move them if the teleport
+    // target changed or the teleport was toggled
+    updateChildren(
+      nodeOps.parentNode(isDef(targetAnchor) ? targetAnchor : vnode.elm),
+      oldVnode.children,
+      ch,
+      insertedVnodeQueue,
+      removeOnly,
+      isDef(targetAnchor) ? targetAnchor : vnode.anchor
+    )
+    const target = getTeleportTarget(vnode)
+    if (isDef(target)) {
+      if (isUndef(targetAnchor) || nodeOps.parentNode(targetAnchor) !== target) {
+        if (isUndef(targetAnchor)) {
+          targetAnchor = nodeOps.createTextNode('')
+        }
+        nodeOps.appendChild(target, targetAnchor)
+        for (let i = 0; i < ch.length; ++i) {
+          insertVnode(target, ch[i], targetAnchor)
+        }
+      }
+    } else if (isDef(targetAnchor)) {
+      const parentElm = nodeOps.parentNode(vnode.elm)
+      for (let i = 0; i < ch.length; ++i) {
+        insertVnode(parentElm, ch[i], vnode.anchor)
+      }
+      removeNode(targetAnchor)
+      targetAnchor = undefined
+    }
+    vnode.targetAnchor = targetAnchor
+  }
+
   function hydrate (elm, vnode, insertedVnodeQueue, inVPre) {
     let i
     const { tag, data, children } = vnode
     inVPre = inVPre || (data && data.pre)
     vnode.elm = elm
 
+    if (isDef(vnode.asyncFactory)) {
+      trackAsyncComponent(vnode.asyncFactory)
+    }
     if (isTrue(vnode.isComment) && isDef(vnode.asyncFactory)) {
       vnode.isAsyncPlaceholder = true
       return true
     }
+    if (isTrue(vnode.isFragment)) {
+      if (isPendingSegment(elm)) {
+        // the placeholder stands for the whole fragment until then
+        vnode.anchor = elm
+        vnode.isAsyncPlaceholder = true
+        return true
+      }
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
+    if (isDef(vnode.componentOptions) && isClientMarker(elm)) {
+      // the component failed to render on the server, mount it in place
+      const parentElm = nodeOps.parentNode(elm)
+      createElm(vnode, insertedVnodeQueue, parentElm, elm)
+      nodeOps.removeChild(parentElm, elm)
+      return true
+    }
     // assert node match
     if (process.env.NODE_ENV !== 'production') {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
@@ -647,7 +919,7 @@ export function createPatchFunction (backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = getLastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -686,6 +958,58 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  // server-rendered fragments are wrapped in <!--[--> and <!--]--> comments,
+  // the children of teleports are rendered in their target followed by a
+  // <!--teleport--> comment
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    if (!isFragmentMarker(elm, '[')) {
+      return false
+    }
+    const children = vnode.children
+    const target = getTeleportTarget(vnode)
+    let node = elm.nextSibling
+    if (isDef(target)) {
+      // teleports rendered into the same target follow each other
+      const last = target._teleportAnchor
+      const anchor = hydrateSiblings(
+        last ? last.nextSibling : target.firstChild,
+        children,
+        insertedVnodeQueue,
+        inVPre
+      )
+      if (!anchor || !isFragmentMarker(anchor, 'teleport')) {
+        return false
+      }
+      vnode.targetAnchor = target._teleportAnchor = anchor
+    } else {
+      node = hydrateSiblings(node, children, insertedVnodeQueue, inVPre)
+    }
+    if (!node || !isFragmentMarker(node, ']')) {
+      return false
+    }
+    vnode.anchor = node
+    return true
+  }
+
+  // hydrate the children from the given node, returns the node after them
+  function hydrateSiblings (node, children, insertedVnodeQueue, inVPre) {
+    for (let i = 0; i < children.length; i++) {
+      if (!node || !hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return null
+      }
+      node = getLastElm(children[i]).nextSibling
+    }
+    return node
+  }
+
+  function isFragmentMarker (node, text) {
+    return node.nodeType === 8 && node.data === text
+  }
+
+  function isClientMarker (node) {
+    return node.nodeType === 8 && node.data === SSR_CLIENT_MARKER
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -727,7 +1051,9 @@ export function createPatchFunction (backend) {
           if (isTrue(hydrating)) {
             if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
+              // the root of a component mounted by the client replaced the
+              // server-rendered node
+              return vnode.elm
             } else if (process.env.NODE_ENV !== 'production') {
               warn(
                 'The client-side rendered virtual DOM tree is not matching ' +
@@ -755,7 +1081,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         )
 
         // update parent placeholder node element, recursively
@@ -23,6 +23,9 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // renders its children between two anchors
+  anchor: Node | void; // end anchor of fragments
+  targetAnchor: Node | void; // end anchor of teleported children in their target
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -62,6 +65,9 @@ export default class VNode {
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.isFragment = false
+    this.anchor = undefined
+    this.targetAnchor = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -78,6 +84,12 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -104,6 +116,9 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
+  cloned.anchor = vnode.anchor
+  cloned.targetAnchor = vnode.targetAnchor
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
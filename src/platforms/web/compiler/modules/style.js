@@ -7,6 +7,9 @@ import {
   getBindingAttr,
   baseWarn
 } from 'compiler/helpers'
+import { genHoisted } from 'compiler/codegen/index'
+
+import type { CodegenState } from 'compiler/codegen/index'
 
 function transformNode (el: ASTElement, options: CompilerOptions) {
   const warn = options.warn || baseWarn
@@ -34,10 +37,14 @@ function transformNode (el: ASTElement, options: CompilerOptions) {
   }
 }
 
-function genData (el: ASTElement): string {
+function genData (el: ASTElement, state?: CodegenState): string {
   let data = ''
   if (el.staticStyle) {
-    data += `staticStyle:${el.staticStyle},`
+    // static style is merged with the style binding at runtime
+    data += `staticStyle:${state && !el.styleBinding
+      ? genHoisted(el, el.staticStyle, state)
+      : el.staticStyle
+    },`
   }
   if (el.styleBinding) {
     data += `style:(${el.styleBinding}),`
@@ -10,9 +10,13 @@ import { isUnaryTag, canBeLeftOpenTag } from './compiler/util'
 import { createRenderer as _createRenderer } from 'server/create-renderer'
 import { createBundleRendererCreator } from 'server/bundle-renderer/create-bundle-renderer'
 
+export { RenderAbortedError } from 'server/render-abort'
+export { LRUCache } from 'server/lru-cache'
+
 export function createRenderer (options?: Object = {}): {
   renderToString: Function,
-  renderToStream: Function
+  renderToStream: Function,
+  renderToWebStream: Function
 } {
   return _createRenderer(extend(extend({}, options), {
     isUnaryTag,
@@ -7,6 +7,8 @@ import {
   isDef,
   isUndef
 } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
+import { getPatchFlag } from 'core/vdom/helpers/index'
 
 import {
   isXlink,
@@ -26,6 +28,10 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   if (isUndef(oldVnode.data.attrs) && isUndef(vnode.data.attrs)) {
     return
   }
+  const patchFlag = getPatchFlag(oldVnode, vnode)
+  if (patchFlag >= 0 && !(patchFlag & (PatchFlags.PROPS | PatchFlags.FULL_PROPS))) {
+    return
+  }
   let key, cur, old
   const elm = vnode.elm
   const oldAttrs = oldVnode.data.attrs || {}
@@ -35,6 +41,18 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     attrs = vnode.data.attrs = extend({}, attrs)
   }
 
+  // only the listed attrs can change, the others are constant
+  const dynamicProps = vnode.data.dynamicProps
+  if (patchFlag >= 0 && !(patchFlag & PatchFlags.FULL_PROPS) && dynamicProps) {
+    for (let i = 0; i < dynamicProps.length; i++) {
+      key = dynamicProps[i]
+      if (key in attrs && attrs[key] !== oldAttrs[key]) {
+        setAttr(elm, key, attrs[key], vnode.data.pre)
+      }
+    }
+    return
+  }
+
   for (key in attrs) {
     cur = attrs[key]
     old = oldAttrs[key]
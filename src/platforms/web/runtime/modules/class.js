@@ -4,6 +4,8 @@ import {
   isDef,
   isUndef
 } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
+import { getPatchFlag } from 'core/vdom/helpers/index'
 
 import {
   concat,
@@ -26,6 +28,10 @@ function updateClass (oldVnode: any, vnode: any) {
   ) {
     return
   }
+  const patchFlag = getPatchFlag(oldVnode, vnode)
+  if (patchFlag >= 0 && !(patchFlag & PatchFlags.CLASS)) {
+    return
+  }
 
   let cls = genClassForVnode(vnode)
 
@@ -1,6 +1,8 @@
 /* @flow */
 
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
+import { getPatchFlag } from 'core/vdom/helpers/index'
 import { isSVG } from 'web/util/index'
 
 let svgContainer
@@ -9,6 +11,10 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   if (isUndef(oldVnode.data.domProps) && isUndef(vnode.data.domProps)) {
     return
   }
+  const patchFlag = getPatchFlag(oldVnode, vnode)
+  if (patchFlag >= 0 && !(patchFlag & (PatchFlags.PROPS | PatchFlags.FULL_PROPS))) {
+    return
+  }
   let key, cur
   const elm: any = vnode.elm
   const oldProps = oldVnode.data.domProps || {}
@@ -18,13 +24,20 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     props = vnode.data.domProps = extend({}, props)
   }
 
-  for (key in oldProps) {
-    if (!(key in props)) {
-      elm[key] = ''
+  // only the listed props can change, the others are constant
+  let keys: ?Array<string> = null
+  if (patchFlag >= 0 && !(patchFlag & PatchFlags.FULL_PROPS)) {
+    keys = vnode.data.dynamicProps
+  } else {
+    for (key in oldProps) {
+      if (!(key in props)) {
+        elm[key] = ''
+      }
     }
   }
 
   for (key in props) {
+    if (keys && keys.indexOf(key) < 0) continue
     cur = props[key]
     // ignore children if the node has textContent or innerHTML,
     // as these will throw away existing DOM nodes and cause removal errors
@@ -2,6 +2,8 @@
 
 import { getStyle, normalizeStyleBinding } from 'web/util/style'
 import { cached, camelize, extend, isDef, isUndef, hyphenate } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
+import { getPatchFlag } from 'core/vdom/helpers/index'
 
 const cssVarRE = /^--/
 const importantRE = /\s*!important$/
@@ -53,6 +55,10 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   ) {
     return
   }
+  const patchFlag = getPatchFlag(oldVnode, vnode)
+  if (patchFlag >= 0 && !(patchFlag & PatchFlags.STYLE)) {
+    return
+  }
 
   let cur, name
   const el: any = vnode.elm
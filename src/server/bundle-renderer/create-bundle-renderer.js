@@ -5,10 +5,6 @@ import { createBundleRunner } from './create-bundle-runner'
 import type { Renderer, RenderOptions } from '../create-renderer'
 import { createSourceMapConsumers, rewriteErrorTrace } from './source-map-support'
 
-const fs = require('fs')
-const path = require('path')
-const PassThrough = require('stream').PassThrough
-
 const INVALID_MSG =
   'Invalid server-rendering bundle format. Should be a string ' +
   'or a bundle Object of type:\n\n' +
@@ -35,6 +31,10 @@ export function createBundleRendererCreator (
     bundle: string | RenderBundle,
     rendererOptions?: RenderOptions = {}
   ) {
+    // Node-only modules are required on use, so that the renderer loads in
+    // runtimes without them (see renderToWebStream)
+    const fs = require('fs')
+    const path = require('path')
     let files, entry, maps
     let basedir = rendererOptions.basedir
 
@@ -113,6 +113,7 @@ export function createBundleRendererCreator (
       },
 
       renderToStream: (context?: Object) => {
+        const { PassThrough } = require('stream')
         const res = new PassThrough()
         run(context).catch(err => {
           rewriteErrorTrace(err, maps)
@@ -145,6 +146,27 @@ export function createBundleRendererCreator (
         })
 
         return res
+      },
+
+      renderToWebStream: (context?: Object) => {
+        let reader
+        const fail = (controller, err) => {
+          rewriteErrorTrace(err, maps)
+          controller.error(err)
+        }
+        return new ReadableStream({
+          start: controller => run(context).then(app => {
+            reader = renderer.renderToWebStream(app, context).getReader()
+          }, err => fail(controller, err)),
+          pull: controller => reader.read().then(({ done, value }) => {
+            if (done) {
+              controller.close()
+            } else {
+              controller.enqueue(value)
+            }
+          }, err => fail(controller, err)),
+          cancel: reason => reader && reader.cancel(reason)
+        })
       }
     }
   }
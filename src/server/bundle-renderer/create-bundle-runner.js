@@ -1,10 +1,5 @@
 import { isPlainObject } from 'shared/util'
 
-const vm = require('vm')
-const path = require('path')
-const resolve = require('resolve')
-const NativeModule = require('module')
-
 function createSandbox (context) {
   const sandbox = {
     Buffer,
@@ -23,6 +18,11 @@ function createSandbox (context) {
 }
 
 function compileModule (files, basedir, runInNewContext) {
+  // Node-only modules are required on use, see renderToWebStream
+  const vm = require('vm')
+  const path = require('path')
+  const resolve = require('resolve')
+  const NativeModule = require('module')
   const compiledScripts = {}
   const resolvedModules = {}
 
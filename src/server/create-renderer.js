@@ -1,6 +1,7 @@
 /* @flow */
 
-import RenderStream from './render-stream'
+import { createRenderStream } from './render-stream'
+import { createWebStream } from './render-web-stream'
 import { createWriteFunction } from './write'
 import { createRenderFunction } from './render'
 import { createPromiseCallback } from './util'
@@ -10,12 +11,20 @@ import type { ClientManifest } from './template-renderer/index'
 export type Renderer = {
   renderToString: (component: Component, context: any, cb: any) => ?Promise<string>;
   renderToStream: (component: Component, context?: Object) => stream$Readable;
+  renderToWebStream: (component: Component, context?: Object) => ReadableStream;
 };
 
+type CachedComponent = {
+  html: string;
+  components: Set<Function>;
+  tags: Array<string>;
+};
+
+// the methods of async stores either take a callback or return a promise
 type RenderCache = {
-  get: (key: string, cb?: Function) => string | void;
-  set: (key: string, val: string) => void;
-  has?: (key: string, cb?: Function) => boolean | void;
+  get: (key: string, cb?: Function) => ?CachedComponent | Promise<?CachedComponent>;
+  set: (key: string, val: CachedComponent, ttl?: number) => mixed;
+  has?: (key: string, cb?: Function) => boolean | void | Promise<boolean>;
 };
 
 export type RenderOptions = {
@@ -31,6 +40,7 @@ export type RenderOptions = {
   clientManifest?: ClientManifest;
   serializer?: Function;
   runInNewContext?: boolean | 'once';
+  outOfOrder?: boolean;
 };
 
 export function createRenderer ({
@@ -43,7 +53,8 @@ export function createRenderer ({
   shouldPreload,
   shouldPrefetch,
   clientManifest,
-  serializer
+  serializer,
+  outOfOrder
 }: RenderOptions = {}): Renderer {
   const render = createRenderFunction(modules, directives, isUnaryTag, cache)
   const templateRenderer = new TemplateRenderer({
@@ -120,8 +131,8 @@ export function createRenderer ({
       if (context) {
         templateRenderer.bindRenderFns(context)
       }
-      const renderStream = new RenderStream((write, done) => {
-        render(component, write, context, done)
+      const renderStream = createRenderStream((write, done) => {
+        render(component, write, context, done, outOfOrder)
       })
       if (!template) {
         if (context && context.rendered) {
@@ -147,6 +158,35 @@ export function createRenderer ({
         }
         return templateStream
       }
+    },
+
+    renderToWebStream (
+      component: Component,
+      context?: Object
+    ): ReadableStream {
+      if (context) {
+        templateRenderer.bindRenderFns(context)
+      }
+      if (typeof template === 'function') {
+        throw new Error(`function template is only supported in renderToString.`)
+      }
+      const parsedTemplate: any = templateRenderer.parsedTemplate
+      const userContext = context || {}
+      return createWebStream((write, done, signal) => {
+        render(component, write, context, done, outOfOrder, signal)
+      }, {
+        start: () => parsedTemplate
+          ? templateRenderer.renderTemplateStart(parsedTemplate, userContext)
+          : '',
+        end: () => {
+          if (context && context.rendered) {
+            context.rendered(context)
+          }
+          return parsedTemplate
+            ? templateRenderer.renderTemplateEnd(parsedTemplate, userContext)
+            : ''
+        }
+      })
     }
   }
 }
@@ -0,0 +1,107 @@
+/* @flow */
+
+import { isDef } from 'shared/util'
+
+type CacheEntry = {
+  value: any;
+  expires: number;
+  tags: ?Array<string>;
+};
+
+/**
+ * In-memory component cache, evicting the least recently used entries past
+ * `max`. An entry expires after its own `ttl` or the default one, in
+ * milliseconds, and can be invalidated by the `tags` of the cached result.
+ */
+export class LRUCache {
+  max: number;
+  ttl: number;
+  entries: Map<string, CacheEntry>;
+  tagged: Map<string, Set<string>>;
+
+  constructor (options?: { max?: number; ttl?: number } = {}) {
+    this.max = options.max || 1000
+    this.ttl = isDef(options.ttl) ? options.ttl : Infinity
+    this.entries = new Map()
+    this.tagged = new Map()
+  }
+
+  get (key: string): any {
+    const entry = this.entries.get(key)
+    if (entry) {
+      if (entry.expires <= Date.now()) {
+        this.delete(key)
+        return
+      }
+      // move it to the most recently used end
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+      return entry.value
+    }
+  }
+
+  has (key: string): boolean {
+    const entry = this.entries.get(key)
+    if (entry && entry.expires <= Date.now()) {
+      this.delete(key)
+      return false
+    }
+    return !!entry
+  }
+
+  set (key: string, value: any, ttl?: number) {
+    this.delete(key)
+    const tags = value && value.tags
+    this.entries.set(key, {
+      value,
+      expires: Date.now() + (isDef(ttl) ? ttl : this.ttl),
+      tags
+    })
+    if (tags) {
+      tags.forEach(tag => {
+        const keys = this.tagged.get(tag)
+        if (keys) {
+          keys.add(key)
+        } else {
+          this.tagged.set(tag, new Set([key]))
+        }
+      })
+    }
+    if (this.entries.size > this.max) {
+      const oldest: any = this.entries.keys().next().value
+      this.delete(oldest)
+    }
+  }
+
+  delete (key: string) {
+    const entry = this.entries.get(key)
+    if (entry) {
+      this.entries.delete(key)
+      if (entry.tags) {
+        entry.tags.forEach(tag => {
+          const keys = this.tagged.get(tag)
+          if (keys) {
+            keys.delete(key)
+            if (!keys.size) this.tagged.delete(tag)
+          }
+        })
+      }
+    }
+  }
+
+  // removes the entries with any of the tags
+  invalidate (tags: string | Array<string>) {
+    if (!Array.isArray(tags)) tags = [tags]
+    tags.forEach(tag => {
+      const keys = this.tagged.get(tag)
+      if (keys) {
+        keys.forEach(key => this.delete(key))
+      }
+    })
+  }
+
+  clear () {
+    this.entries.clear()
+    this.tagged.clear()
+  }
+}
@@ -11,7 +11,8 @@ import {
   genText,
   genElement,
   genChildren,
-  CodegenState
+  CodegenState,
+  createCodegenResult
 } from 'compiler/codegen/index'
 
 import {
@@ -38,14 +39,12 @@ export const EXPRESSION = 2
 
 export function generate (
   ast: ASTElement | void,
-  options: CompilerOptions
+  options: CompilerOptions,
+  template?: string
 ): CodegenResult {
   const state = new CodegenState(options)
   const code = ast ? genSSRElement(ast, state) : '_c("div")'
-  return {
-    render: `with(this){return ${code}}`,
-    staticRenderFns: state.staticRenderFns
-  }
+  return createCodegenResult(`with(this){return ${code}}`, state, options, template)
 }
 
 function genSSRElement (el: ASTElement, state: CodegenState): string {
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { parse } from 'compiler/parser/index'
+import { runPlugins } from 'compiler/plugins'
 import { generate } from './codegen'
 import { optimize } from './optimizer'
 import { createCompilerCreator } from 'compiler/create-compiler'
@@ -9,12 +10,15 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   template: string,
   options: CompilerOptions
 ): CompiledResult {
-  const ast = parse(template.trim(), options)
+  template = template.trim()
+  const ast = runPlugins(parse(template, options), options)
   optimize(ast, options)
-  const code = generate(ast, options)
+  const code = generate(ast, options, template)
   return {
     ast,
     render: code.render,
-    staticRenderFns: code.staticRenderFns
+    staticRenderFns: code.staticRenderFns,
+    map: code.map,
+    staticRenderMaps: code.staticRenderMaps
   }
 })
@@ -63,7 +63,9 @@ function walk (node: ASTNode, isRoot?: boolean) {
       (!isRoot && (node.attrsMap['v-html'] || node.attrsMap['v-text']))
     ) {
       node.ssrOptimizability = optimizability.FULL
-    } else {
+    } else if (!isRoot || node.tag !== 'template') {
+      // the children of a root template are rendered as a fragment on the
+      // client, so they must not be merged into a single node
       node.children = optimizeSiblings(node)
     }
   } else {
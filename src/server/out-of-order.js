@@ -0,0 +1,106 @@
+/* @flow */
+
+import { SSR_SEGMENT_PREFIX } from 'shared/constants'
+
+/**
+ * Out-of-order streaming: the content of suspense boundaries that is still
+ * waiting for async data when the renderer reaches them is replaced by a
+ * placeholder and their fallback. It is streamed once the rest of the page
+ * is rendered, in a <template> followed by a script swapping it in place.
+ */
+export type Segments = {
+  count: number;
+  pending: number;
+  resolved: number;
+  ready: Array<string>;
+  error: ?Error;
+  flush: ?Function;
+};
+
+export function createSegments (): Segments {
+  return {
+    count: 0,
+    pending: 0,
+    resolved: 0,
+    ready: [],
+    error: null,
+    flush: null
+  }
+}
+
+export function renderPlaceholder (id: number): string {
+  return `<template id="${SSR_SEGMENT_PREFIX}p${id}"></template>`
+}
+
+// moves the content of segment `i` in place of its placeholder. The fallback
+// is removed as well, unless the client already hydrated it and waits for the
+// segment with `_resume`, in which case the client removes it.
+export const SWAP_SEGMENT = (
+  'function __vueSwap(i){' +
+    `var d=document,p=d.getElementById("${SSR_SEGMENT_PREFIX}p"+i),` +
+    `s=d.getElementById("${SSR_SEGMENT_PREFIX}s"+i);` +
+    's.parentNode.removeChild(s);' +
+    'if(!p)return;' +
+    'var r=p._resume,f=s.content.firstChild,n,x,l=0;' +
+    'if(!r){' +
+      'n=p.nextSibling.nextSibling;' +
+      'while(n.nodeType!==8||n.data!=="]"||l){' +
+        'if(n.nodeType===8)n.data==="["?l++:n.data==="]"&&l--;' +
+        'x=n.nextSibling;n.parentNode.removeChild(n);n=x' +
+      '}' +
+    '}' +
+    'p.parentNode.insertBefore(s.content,p);' +
+    'p.parentNode.removeChild(p);' +
+    'r&&r(f)' +
+  '}'
+)
+
+export function resolveSegment (segments: Segments, id: number, html: string) {
+  // the first segment defines the swap function
+  const swap = segments.resolved++ ? '' : SWAP_SEGMENT
+  segments.pending--
+  segments.ready.push(
+    `<template id="${SSR_SEGMENT_PREFIX}s${id}">${html}</template>` +
+    `<script>${swap}__vueSwap(${id})</script>`
+  )
+  if (segments.flush) segments.flush()
+}
+
+export function rejectSegment (segments: Segments, err: Error) {
+  segments.pending--
+  segments.error = segments.error || err
+  if (segments.flush) segments.flush()
+}
+
+// called once the page is rendered, writes the segments as they resolve
+export function flushSegments (
+  segments: Segments,
+  write: Function,
+  done: Function
+) {
+  let writing = false
+  const flush = () => {
+    if (segments.error) {
+      segments.flush = null
+      return done(segments.error)
+    }
+    if (segments.ready.length) {
+      writing = true
+      return write(segments.ready.shift(), () => {
+        writing = false
+        flush()
+      })
+    }
+    if (!segments.pending) {
+      segments.flush = null
+      done()
+    } else if (write.flush) {
+      // send the page rendered so far without waiting
+      write.flush()
+    }
+  }
+  segments.flush = () => {
+    if (!writing) flush()
+  }
+  flush()
+}
@@ -0,0 +1,158 @@
+/* @flow */
+
+import { isDef, isUndef, remove } from 'shared/util'
+import { generateComponentTrace } from 'core/util/debug'
+
+/**
+ * A rendering can be cancelled with the `signal` (an AbortSignal) or the
+ * `timeout` (in milliseconds) of the render context, e.g. when a
+ * `serverPrefetch` promise never settles, or by the stream it renders into
+ * being cancelled. The component instances it
+ * created are destroyed and it fails with a RenderAbortedError naming the
+ * component it was still waiting for.
+ */
+export class RenderAbortedError extends Error {
+  component: ?string;
+  reason: any;
+
+  constructor (message: string, component: ?string, reason?: any) {
+    super(message)
+    // the transpiled class does not get them from the Error constructor
+    this.name = 'RenderAbortedError'
+    this.message = message
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, RenderAbortedError)
+    }
+    this.component = component
+    this.reason = reason
+  }
+}
+
+export type RenderAbort = {
+  aborted: boolean;
+  // the instances created by the rendering, in order of creation
+  instances: Array<Component>;
+  // the components and async components the rendering waits for
+  pending: Array<Component | VNode>;
+};
+
+export function createRenderAbort (
+  userContext: ?Object,
+  streamSignal: ?Object
+): ?RenderAbort {
+  if (
+    isDef(streamSignal) ||
+    (userContext && (isDef(userContext.signal) || isDef(userContext.timeout)))
+  ) {
+    return {
+      aborted: false,
+      instances: [],
+      pending: []
+    }
+  }
+}
+
+// returns the `done` callback of the rendering, called once with either the
+// result of the rendering or the error of the abort
+export function bindRenderAbort (
+  abort: RenderAbort,
+  userContext: ?Object,
+  done: Function,
+  streamSignal: ?Object
+): Function {
+  const { signal, timeout } = userContext || {}
+  let finished = false
+  let timer
+
+  const finish = () => {
+    finished = true
+    if (isDef(timer)) clearTimeout(timer)
+    if (isDef(signal)) signal.removeEventListener('abort', onAbort)
+    if (isDef(streamSignal)) streamSignal.removeEventListener('abort', onCancel)
+  }
+
+  const cancel = (message: string, reason?: any) => {
+    if (finished) return
+    finish()
+    abort.aborted = true
+    const err = createAbortError(abort.pending[0], message, reason)
+    const { instances } = abort
+    for (let i = instances.length - 1; i >= 0; i--) {
+      instances[i].$destroy()
+    }
+    done(err)
+  }
+
+  const onAbort = () => cancel('Rendering aborted', signal.reason)
+  const onCancel = () => cancel('Stream cancelled', streamSignal && streamSignal.reason)
+
+  const listen = (target: ?Object, listener: Function) => {
+    if (isDef(target) && !finished) {
+      if (target.aborted) {
+        listener()
+      } else {
+        target.addEventListener('abort', listener)
+      }
+    }
+  }
+  listen(signal, onAbort)
+  listen(streamSignal, onCancel)
+  if (isDef(timeout) && !finished) {
+    timer = setTimeout(() => {
+      cancel(`Rendering timed out after ${timeout}ms`)
+    }, timeout)
+  }
+
+  return (err: ?Error, res?: any) => {
+    if (finished) return
+    finish()
+    done(err, res)
+  }
+}
+
+// tracks what the rendering waits for until `resolve` is called, which is
+// ignored once the rendering is aborted
+export function waitFor (
+  abort: ?RenderAbort,
+  target: Component | VNode,
+  resolve: Function
+): Function {
+  if (isUndef(abort)) {
+    return resolve
+  }
+  const state: RenderAbort = abort
+  state.pending.push(target)
+  return (res: any) => {
+    remove(state.pending, target)
+    if (!state.aborted) {
+      resolve(res)
+    }
+  }
+}
+
+function createAbortError (
+  target: ?(Component | VNode),
+  message: string,
+  reason: any
+): RenderAbortedError {
+  if (isUndef(target)) {
+    return new RenderAbortedError(`[vue-server-renderer] ${message}.`, null, reason)
+  }
+  let name, vm
+  if (target._isVue) {
+    vm = (target: any)
+    name = vm.$options.name || vm.$options._componentTag
+  } else {
+    // async component, traced from the component rendering it
+    const { asyncMeta } = (target: any)
+    vm = asyncMeta.context
+    name = asyncMeta.tag
+  }
+  name = name || 'anonymous'
+  return new RenderAbortedError(
+    `[vue-server-renderer] ${message} while waiting for component ` +
+    `${name}.${generateComponentTrace(vm) || ''}`,
+    name,
+    reason
+  )
+}
@@ -1,6 +1,8 @@
 /* @flow */
 
-import { isUndef } from 'shared/util'
+import { isDef, isUndef } from 'shared/util'
+import type { Segments } from './out-of-order'
+import type { RenderAbort } from './render-abort'
 
 type RenderState = {
   type: 'Element';
@@ -18,10 +20,18 @@ type RenderState = {
   prevActive: Component;
 } | {
   type: 'ComponentWithCache';
+  ttl: ?number;
   buffer: Array<string>;
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
   key: string;
+  failed?: boolean;
+} | {
+  type: 'Teleport';
+  to: string;
+} | {
+  type: 'ErrorBoundary';
+  end: (content: string) => void;
 };
 
 export class RenderContext {
@@ -41,6 +51,9 @@ export class RenderContext {
   get: ?(key: string, cb: Function) => void;
   has: ?(key: string, cb: Function) => void;
 
+  segments: ?Segments;
+  abort: ?RenderAbort;
+
   constructor (options: Object) {
     this.userContext = options.userContext
     this.activeInstance = options.activeInstance
@@ -59,13 +72,20 @@ export class RenderContext {
       throw new Error('renderer cache must implement at least get & set.')
     }
     this.cache = cache
-    this.get = cache && normalizeAsync(cache, 'get')
-    this.has = cache && normalizeAsync(cache, 'has')
+    const onError = err => this.done(err)
+    this.get = cache && normalizeAsync(cache, 'get', onError)
+    this.has = cache && normalizeAsync(cache, 'has', onError)
+
+    this.segments = options.segments
+    this.abort = options.abort
 
     this.next = this.next.bind(this)
   }
 
   next () {
+    if (this.abort && this.abort.aborted) {
+      return
+    }
     // eslint-disable-next-line
     while (true) {
       const lastState = this.renderStates[this.renderStates.length - 1]
@@ -93,12 +113,16 @@ export class RenderContext {
           break
         case 'ComponentWithCache':
           this.renderStates.pop()
-          const { buffer, bufferIndex, componentBuffer, key } = lastState
+          const { buffer, bufferIndex, componentBuffer, key, ttl } = lastState
+          const { tagBuffer } = this.write
           const result = {
             html: buffer[bufferIndex],
-            components: componentBuffer[bufferIndex]
+            components: componentBuffer[bufferIndex],
+            tags: tagBuffer[bufferIndex]
+          }
+          if (!lastState.failed) {
+            setCache(this.cache, key, result, ttl)
           }
-          this.cache.set(key, result)
           if (bufferIndex === 0) {
             // this is a top-level cached component,
             // exit caching mode.
@@ -106,25 +130,69 @@ export class RenderContext {
           } else {
             // parent component is also being cached,
             // merge self into parent's result
-            buffer[bufferIndex - 1] += result.html
+            const { cacheDepth } = this.write
+            if (cacheDepth[bufferIndex - 1] === cacheDepth[bufferIndex]) {
+              buffer[bufferIndex - 1] += result.html
+            }
             const prev = componentBuffer[bufferIndex - 1]
             result.components.forEach(c => prev.add(c))
+            const prevTags = tagBuffer[bufferIndex - 1]
+            result.tags.forEach(tag => {
+              if (prevTags.indexOf(tag) < 0) prevTags.push(tag)
+            })
           }
           buffer.length = bufferIndex
+          this.write.cacheDepth.length = bufferIndex
           componentBuffer.length = bufferIndex
+          tagBuffer.length = bufferIndex
+          break
+        case 'ErrorBoundary':
+          this.renderStates.pop()
+          return lastState.end(this.write.buffers.pop())
+        case 'Teleport':
+          this.renderStates.pop()
+          const html = this.write.buffers.pop()
+          const userContext = this.userContext
+          if (userContext) {
+            const teleports = userContext.teleports || (userContext.teleports = {})
+            teleports[lastState.to] = (teleports[lastState.to] || '') + html
+          }
           break
       }
     }
   }
 }
 
-function normalizeAsync (cache, method) {
+// a failed write of an async store only costs a later cache miss
+function setCache (cache, key: string, result: Object, ttl: ?number) {
+  const res = isDef(ttl) ? cache.set(key, result, ttl) : cache.set(key, result)
+  if (res && typeof res.then === 'function') {
+    res.catch(err => {
+      // eslint-disable-next-line no-console
+      console.warn(
+        `\n\u001b[31m[vue-server-renderer] Failed to cache component ` +
+        `${key}: ${err}\u001b[39m\n`
+      )
+    })
+  }
+}
+
+function normalizeAsync (cache, method, onError) {
   const fn = cache[method]
   if (isUndef(fn)) {
     return
   } else if (fn.length > 1) {
     return (key, cb) => fn.call(cache, key, cb)
   } else {
-    return (key, cb) => cb(fn.call(cache, key))
+    return (key, cb) => {
+      const res = fn.call(cache, key)
+      if (res && typeof res.then === 'function') {
+        // async stores returning promises
+        // errors of the rendering going on from `cb` fail it as well
+        res.then(cb).catch(onError)
+      } else {
+        cb(res)
+      }
+    }
   }
 }
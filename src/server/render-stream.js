@@ -8,88 +8,114 @@
  * Modified by Evan You (@yyx990803)
  */
 
-const stream = require('stream')
-
-import { isTrue, isUndef } from 'shared/util'
+import { isTrue, isUndef, noop } from 'shared/util'
 import { createWriteFunction } from './write'
 
-export default class RenderStream extends stream.Readable {
-  buffer: string;
-  render: (write: Function, done: Function) => void;
-  expectedSize: number;
-  write: Function;
-  next: Function;
-  end: Function;
-  done: boolean;
+let RenderStream
 
-  constructor (render: Function) {
-    super()
-    this.buffer = ''
-    this.render = render
-    this.expectedSize = 0
+// the stream module is required on first use, so that the renderer loads in
+// runtimes without Node streams (see renderToWebStream)
+export function createRenderStream (render: Function): stream$Readable {
+  if (isUndef(RenderStream)) {
+    RenderStream = defineRenderStream(require('stream').Readable)
+  }
+  return new RenderStream(render)
+}
 
-    this.write = createWriteFunction((text, next) => {
-      const n = this.expectedSize
-      this.buffer += text
-      if (this.buffer.length >= n) {
-        this.next = next
-        this.pushBySize(n)
-        return true // we will decide when to call next
-      }
-      return false
-    }, err => {
-      this.emit('error', err)
-    })
+function defineRenderStream (Readable: Class<stream$Readable>) {
+  return class RenderStream extends Readable {
+    buffer: string;
+    render: (write: Function, done: Function) => void;
+    expectedSize: number;
+    write: Function;
+    next: Function;
+    end: Function;
+    done: boolean;
 
-    this.end = () => {
-      this.emit('beforeEnd')
-      // the rendering is finished; we should push out the last of the buffer.
-      this.done = true
-      this.push(this.buffer)
-    }
-  }
+    constructor (render: Function) {
+      super()
+      this.buffer = ''
+      this.render = render
+      this.expectedSize = 0
 
-  pushBySize (n: number) {
-    const bufferToPush = this.buffer.substring(0, n)
-    this.buffer = this.buffer.substring(n)
-    this.push(bufferToPush)
-  }
+      this.write = createWriteFunction((text, next) => {
+        const n = this.expectedSize
+        this.buffer += text
+        if (this.buffer.length >= n) {
+          this.next = next
+          this.pushBySize(n)
+          return true // we will decide when to call next
+        }
+        return false
+      }, err => {
+        this.emit('error', err)
+      })
+      // pushes out the buffer while the rendering waits for the segments
+      // streamed out of order
+      this.write.flush = () => {
+        if (this.buffer) {
+          // the rendering is not waiting for a read, the next one is a no-op
+          const buffer = this.buffer
+          this.buffer = ''
+          this.next = noop
+          this.push(buffer)
+        }
+      }
 
-  tryRender () {
-    try {
-      this.render(this.write, this.end)
-    } catch (e) {
-      this.emit('error', e)
+      this.end = (err: ?Error) => {
+        if (err) {
+          this.emit('error', err)
+          return
+        }
+        this.emit('beforeEnd')
+        // the rendering is finished; we should push out the last of the buffer.
+        this.done = true
+        this.push(this.buffer)
+      }
     }
-  }
 
-  tryNext () {
-    try {
-      this.next()
-    } catch (e) {
-      this.emit('error', e)
+    pushBySize (n: number) {
+      const bufferToPush = this.buffer.substring(0, n)
+      this.buffer = this.buffer.substring(n)
+      this.push(bufferToPush)
     }
-  }
 
-  _read (n: number) {
-    this.expectedSize = n
-    // it's possible that the last chunk added bumped the buffer up to > 2 * n,
-    // which means we will need to go through multiple read calls to drain it
-    // down to < n.
-    if (isTrue(this.done)) {
-      this.push(null)
-      return
+    tryRender () {
+      try {
+        this.render(this.write, this.end)
+      } catch (e) {
+        this.emit('error', e)
+      }
     }
-    if (this.buffer.length >= n) {
-      this.pushBySize(n)
-      return
+
+    tryNext () {
+      try {
+        this.next()
+      } catch (e) {
+        this.emit('error', e)
+      }
     }
-    if (isUndef(this.next)) {
-      // start the rendering chain.
-      this.tryRender()
-    } else {
-      // continue with the rendering.
-      this.tryNext()
+
+    _read (n: number) {
+      this.expectedSize = n
+      // it's possible that the last chunk added bumped the buffer up to > 2 * n,
+      // which means we will need to go through multiple read calls to drain it
+      // down to < n.
+      if (isTrue(this.done)) {
+        this.push(null)
+        return
+      }
+      if (this.buffer.length >= n) {
+        this.pushBySize(n)
+        return
+      }
+      if (isUndef(this.next)) {
+        // start the rendering chain.
+        this.tryRender()
+      } else {
+        // continue with the rendering.
+        this.tryNext()
+      }
     }
   }
 }
@@ -0,0 +1,118 @@
+/* @flow */
+
+import { createWriteFunction } from './write'
+
+// the rendering pauses once this much text is buffered, until the stream is
+// read again
+const CHUNK_SIZE = 16 * 1024
+
+type WebStreamHooks = {
+  start?: () => string;
+  end?: () => string;
+};
+
+/**
+ * Renders into a WHATWG ReadableStream of UTF-8 bytes, for runtimes without
+ * Node streams. Like RenderStream, the rendering only moves forward as the
+ * stream is read. The hooks wrap the content with the template: `start` is
+ * called once the first chunk is rendered and `end` once the rendering is
+ * done. Cancelling the stream aborts the signal passed to `render`.
+ */
+export function createWebStream (
+  render: (write: Function, done: Function, signal: Object) => void,
+  hooks?: WebStreamHooks = {}
+): ReadableStream {
+  const encoder = new TextEncoder()
+  let controller
+  let buffer = ''
+  let started = false
+  let next: ?Function
+  // resolves the pending pull once there is something to read
+  let pulled: ?Function
+  let cancelled = false
+  const cancellation = new AbortController()
+
+  const resolvePull = () => {
+    if (pulled) {
+      const resolve = pulled
+      pulled = null
+      resolve()
+    }
+  }
+
+  const enqueue = () => {
+    if (cancelled) return
+    let text = buffer
+    buffer = ''
+    if (!started) {
+      started = true
+      if (hooks.start) text = hooks.start() + text
+    }
+    if (text) {
+      controller.enqueue(encoder.encode(text))
+    }
+    resolvePull()
+  }
+
+  const fail = err => {
+    if (cancelled) return
+    controller.error(err)
+    resolvePull()
+  }
+
+  const write = createWriteFunction((text, cb) => {
+    buffer += text
+    if (buffer.length >= CHUNK_SIZE) {
+      next = cb
+      enqueue()
+      return true // wait for the next pull
+    }
+    return false
+  }, fail)
+  // sends what is buffered while the rendering waits for the segments
+  // streamed out of order
+  write.flush = () => {
+    if (buffer) enqueue()
+  }
+
+  const end = (err: ?Error) => {
+    if (err) {
+      return fail(err)
+    }
+    if (cancelled) return
+    if (hooks.end) {
+      buffer += hooks.end()
+    }
+    enqueue()
+    controller.close()
+  }
+
+  let rendering = false
+  return new ReadableStream({
+    pull (c) {
+      controller = c
+      return new Promise(resolve => {
+        pulled = resolve
+        try {
+          if (next) {
+            const cb = next
+            next = null
+            cb()
+          } else if (!rendering) {
+            rendering = true
+            render(write, end, cancellation.signal)
+          }
+        } catch (e) {
+          fail(e)
+        }
+      })
+    },
+    cancel (reason) {
+      cancelled = true
+      next = null
+      buffer = ''
+      resolvePull()
+      cancellation.abort(reason)
+    }
+  })
+}
@@ -1,14 +1,28 @@
 /* @flow */
 
 import { escape } from 'web/server/util'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, SSR_CLIENT_MARKER } from 'shared/constants'
 import { RenderContext } from './render-context'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
+import { createWriteFunction } from './write'
+import {
+  createSegments,
+  renderPlaceholder,
+  resolveSegment,
+  rejectSegment,
+  flushSegments
+} from './out-of-order'
+import {
+  createRenderAbort,
+  bindRenderAbort,
+  waitFor
+} from './render-abort'
 
-import { isDef, isUndef, isTrue } from 'shared/util'
+import { isDef, isUndef, isTrue, isObject } from 'shared/util'
+import { createFragmentVNode } from 'core/vdom/vnode'
 
 import {
   createComponent,
@@ -52,6 +66,15 @@ const normalizeRender = vm => {
 
 function waitForServerPrefetch (vm, resolve, reject) {
   let handlers = vm.$options.serverPrefetch
+  // async created hooks of components in a suspense are awaited as well
+  const setup = vm._asyncSetup
+  if (isDef(setup)) {
+    setup.then(() => {
+      vm._asyncSetup = undefined
+      waitForServerPrefetch(vm, resolve, reject)
+    }, reject)
+    return
+  }
   if (isDef(handlers)) {
     if (!Array.isArray(handlers)) handlers = [handlers]
     try {
@@ -78,6 +101,8 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, isRoot, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -114,37 +139,46 @@ function renderComponent (node, isRoot, context) {
   const registerComponent = registerComponentForCache(Ctor.options, write)
 
   if (isDef(getKey) && isDef(cache) && isDef(name)) {
-    const rawKey = getKey(node.componentOptions.propsData)
-    if (rawKey === false) {
+    const cacheKey = normalizeCacheKey(getKey(node.componentOptions.propsData))
+    if (cacheKey === false) {
       renderComponentInner(node, isRoot, context)
       return
     }
-    const key = name + '::' + rawKey
+    const key = name + '::' + cacheKey.key
     const { has, get } = context
+    const renderHit = res => {
+      recordCacheLookup(userContext, true)
+      if (isDef(registerComponent)) {
+        registerComponent(userContext)
+      }
+      res.components.forEach(register => register(userContext))
+      if (write.caching && isDef(res.tags)) {
+        // the entry of the parent is invalidated with the child's
+        const tags = write.tagBuffer[write.tagBuffer.length - 1]
+        res.tags.forEach(tag => {
+          if (tags.indexOf(tag) < 0) tags.push(tag)
+        })
+      }
+      write(res.html, next)
+    }
+    const renderMiss = () => {
+      recordCacheLookup(userContext, false)
+      renderComponentWithCache(node, isRoot, key, cacheKey, context)
+    }
     if (isDef(has)) {
       has(key, hit => {
         if (hit === true && isDef(get)) {
-          get(key, res => {
-            if (isDef(registerComponent)) {
-              registerComponent(userContext)
-            }
-            res.components.forEach(register => register(userContext))
-            write(res.html, next)
-          })
+          get(key, renderHit)
         } else {
-          renderComponentWithCache(node, isRoot, key, context)
+          renderMiss()
         }
       })
     } else if (isDef(get)) {
       get(key, res => {
         if (isDef(res)) {
-          if (isDef(registerComponent)) {
-            registerComponent(userContext)
-          }
-          res.components.forEach(register => register(userContext))
-          write(res.html, next)
+          renderHit(res)
         } else {
-          renderComponentWithCache(node, isRoot, key, context)
+          renderMiss()
         }
       })
     }
@@ -167,16 +201,52 @@ function renderComponent (node, isRoot, context) {
   }
 }
 
-function renderComponentWithCache (node, isRoot, key, context) {
+type CacheKey = {
+  key: string;
+  ttl: ?number;
+  tags: Array<string>;
+};
+
+// `serverCacheKey` returns either the key, or an object with the `key`, the
+// `ttl` of the entry in milliseconds and the `tags` to invalidate it with
+function normalizeCacheKey (res: any): false | CacheKey {
+  if (isObject(res)) {
+    return res.key === false ? false : {
+      key: res.key,
+      ttl: res.ttl,
+      tags: res.tags || []
+    }
+  }
+  return res === false ? false : { key: res, ttl: undefined, tags: [] }
+}
+
+// hits and misses of the component cache are counted in the `cacheStats`
+// of the render context
+function recordCacheLookup (userContext: ?Object, hit: boolean) {
+  if (userContext) {
+    const stats = userContext.cacheStats ||
+      (userContext.cacheStats = { hits: 0, misses: 0 })
+    if (hit) {
+      stats.hits++
+    } else {
+      stats.misses++
+    }
+  }
+}
+
+function renderComponentWithCache (node, isRoot, key, cacheKey, context) {
   const write = context.write
   write.caching = true
   const buffer = write.cacheBuffer
   const bufferIndex = buffer.push('') - 1
+  write.cacheDepth.push(write.buffers.length)
   const componentBuffer = write.componentBuffer
   componentBuffer.push(new Set())
+  write.tagBuffer.push(cacheKey.tags.slice())
   context.renderStates.push({
     type: 'ComponentWithCache',
     key,
+    ttl: cacheKey.ttl,
     buffer,
     bufferIndex,
     componentBuffer
@@ -188,15 +258,41 @@ function renderComponentInner (node, isRoot, context) {
   const prevActive = context.activeInstance
   // expose userContext on vnode
   node.ssrContext = context.userContext
-  const child = context.activeInstance = createComponentInstanceForVnode(
-    node,
-    context.activeInstance
-  )
-  normalizeRender(child)
+  let child: any
+  try {
+    child = context.activeInstance = createComponentInstanceForVnode(
+      node,
+      context.activeInstance
+    )
+    if (isDef(context.abort)) {
+      context.abort.instances.push(child)
+    }
+    normalizeRender(child)
+  } catch (e) {
+    if (!renderClientFallback(e, child, prevActive, context)) throw e
+    return
+  }
 
+  let rendering = false
   const resolve = () => {
-    const childNode = child._render()
+    rendering = true
+    let childNode
+    try {
+      childNode = child._render()
+    } catch (e) {
+      if (!renderClientFallback(e, child, prevActive, context)) throw e
+      return
+    }
     childNode.parent = node
+    if (child._isErrorBoundary) {
+      renderErrorBoundary(child, node, isRoot, context)
+    }
+    const { write } = context
+    if (child._isSuspense && isDef(context.segments) &&
+      !write.caching && !write.buffers.length
+    ) {
+      return renderSuspense(child, childNode, prevActive, context)
+    }
     context.renderStates.push({
       type: 'Component',
       prevActive
@@ -204,15 +300,142 @@ function renderComponentInner (node, isRoot, context) {
     renderNode(childNode, isRoot, context)
   }
 
-  const reject = context.done
+  const reject = err => {
+    // the errors of the rest of the rendering, which goes on synchronously
+    // from `resolve`, are not the component's
+    if (rendering || !renderClientFallback(err, child, prevActive, context)) {
+      context.done(err)
+    }
+  }
 
-  waitForServerPrefetch(child, resolve, reject)
+  waitForServerPrefetch(child, waitFor(context.abort, child, resolve), reject)
+}
+
+// with an `onError` hook in the render context, a component failing to
+// render is reported to it and replaced by a marker, in place of which the
+// client mounts the component instead of hydrating it
+function renderClientFallback (err, vm: ?Component, prevActive, context) {
+  const { userContext } = context
+  const onError = userContext && userContext.onError
+  if (typeof onError !== 'function') {
+    return false
+  }
+  onError(err, vm)
+  context.activeInstance = prevActive
+  if (isDef(vm)) {
+    vm.$destroy()
+  }
+  // the components being cached would keep the marker
+  context.renderStates.forEach(state => {
+    if (state.type === 'ComponentWithCache') {
+      state.failed = true
+    }
+  })
+  context.write(`<!--${SSR_CLIENT_MARKER}-->`, context.next)
+  return true
+}
+
+// the content of error boundaries is buffered, and replaced by their
+// fallback if a descendant throws while it is rendered
+function renderErrorBoundary (vm: Component, node: VNode, isRoot, context) {
+  const { write, next } = context
+  context.renderStates.push({
+    type: 'ErrorBoundary',
+    end: content => {
+      if (!vm.failure) {
+        return write(content, next)
+      }
+      const fallback = vm._render()
+      fallback.parent = node
+      context.renderStates.push({
+        type: 'Component',
+        prevActive: context.activeInstance
+      })
+      context.activeInstance = vm
+      renderNode(fallback, isRoot, context)
+    }
+  })
+  write.buffers.push('')
+}
+
+// when streaming out of order, the content of suspense boundaries is
+// rendered on its own and replaced by the fallback if it does not complete
+// synchronously. Cached components and the content of teleports and error
+// boundaries are always rendered in order.
+function renderSuspense (vm: Component, node: VNode, prevActive, context) {
+  const { write, next } = context
+  const children: Array<VNode> = (node.children: any)
+  const segment = renderSegment(children[0], vm, context)
+  const id = segment.id
+  let fallback: VNode = children[1]
+  let html = '<!--[-->'
+  if (isDef(id)) {
+    fallback = createFragmentVNode(vm.$slots.fallback || [])
+    html += renderPlaceholder(id)
+  } else if (segment.error) {
+    return context.done(segment.error)
+  } else {
+    html += segment.html
+  }
+  context.renderStates.push({
+    type: 'Component',
+    prevActive
+  }, {
+    type: 'Element',
+    children: [fallback],
+    rendered: 0,
+    total: 1,
+    endTag: '<!--]-->'
+  })
+  write(html, next)
+}
+
+function renderSegment (node: VNode, vm: Component, context) {
+  const segments: any = context.segments
+  const segment: { id: ?number; html: string; error: ?Error } = {
+    id: undefined,
+    html: '',
+    error: null
+  }
+  let finished = false
+  const finish = err => {
+    if (finished) return
+    finished = true
+    if (isUndef(segment.id)) {
+      segment.error = err
+    } else if (err) {
+      rejectSegment(segments, err)
+    } else {
+      resolveSegment(segments, segment.id, segment.html)
+    }
+  }
+  const write = createWriteFunction(text => {
+    segment.html += text
+    return false
+  }, finish)
+  renderNode(node, false, new RenderContext({
+    activeInstance: vm,
+    userContext: context.userContext,
+    write,
+    done: finish,
+    renderNode,
+    isUnaryTag: context.isUnaryTag,
+    modules: context.modules,
+    directives: context.directives,
+    cache: context.cache,
+    abort: context.abort
+  }))
+  if (!finished) {
+    segment.id = segments.count++
+    segments.pending++
+  }
+  return segment
 }
 
 function renderAsyncComponent (node, isRoot, context) {
   const factory = node.asyncFactory
 
-  const resolve = comp => {
+  const resolved = comp => {
     if (comp.__esModule && comp.default) {
       comp = comp.default
     }
@@ -250,10 +473,11 @@ function renderAsyncComponent (node, isRoot, context) {
   }
 
   if (factory.resolved) {
-    resolve(factory.resolved)
+    resolved(factory.resolved)
     return
   }
 
+  const resolve = waitFor(context.abort, node, resolved)
   const reject = context.done
   let res
   try {
@@ -323,6 +547,50 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// the comments delimit the fragment for hydration
+function renderFragment (node, isRoot, context) {
+  const children: Array<VNode> = node.children
+  if (isTrue(isRoot)) {
+    // the client mounts onto a single element carrying the SSR_ATTR marker
+    warnOnce(
+      `[vue-server-renderer] The root component renders multiple root ` +
+      `nodes, which the client cannot hydrate. Wrap them in an element.`
+    )
+  }
+  const teleport = node.data && node.data.teleport
+  if (teleport && !teleport.disabled && typeof teleport.to === 'string') {
+    return renderTeleport(children, teleport.to, context)
+  }
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  context.write('<!--[-->', context.next)
+}
+
+// the children of teleports are rendered in the `teleports` of the render
+// context, keyed by their target selector
+function renderTeleport (children: Array<VNode>, to: string, context) {
+  const { write, next } = context
+  context.renderStates.push({
+    type: 'Teleport',
+    to
+  }, {
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--teleport-->'
+  })
+  write('<!--[--><!--]-->', () => {
+    write.buffers.push('')
+    next()
+  })
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
@@ -416,15 +684,27 @@ export function createRenderFunction (
     component: Component,
     write: (text: string, next: Function) => void,
     userContext: ?Object,
-    done: Function
+    done: Function,
+    outOfOrder?: boolean,
+    // aborted when the stream rendered into is cancelled
+    streamSignal?: Object
   ) {
     warned = Object.create(null)
+    const abort = createRenderAbort(userContext, streamSignal)
+    if (isDef(abort)) {
+      done = bindRenderAbort(abort, userContext, done, streamSignal)
+      if (abort.aborted) return
+    }
+    const segments = outOfOrder ? createSegments() : undefined
     const context = new RenderContext({
       activeInstance: component,
       userContext,
-      write, done, renderNode,
+      write, renderNode,
       isUnaryTag, modules, directives,
-      cache
+      cache, segments, abort,
+      done: isDef(segments)
+        ? err => err ? done(err) : flushSegments(segments, write, done)
+        : done
     })
     installSSRHelpers(component)
     normalizeRender(component)
@@ -432,6 +712,6 @@ export function createRenderFunction (
     const resolve = () => {
       renderNode(component._render(), true, context)
     }
-    waitForServerPrefetch(component, resolve, done)
+    waitForServerPrefetch(component, waitFor(abort, component, resolve), done)
   }
 }
@@ -1,10 +1,9 @@
 /* @flow */
 
-const path = require('path')
 const serialize = require('serialize-javascript')
 
 import { isJS, isCSS } from '../util'
-import TemplateStream from './template-stream'
+import { createTemplateStream } from './template-stream'
 import { parseTemplate } from './parse-template'
 import { createMapper } from './create-async-file-mapper'
 import type { ParsedTemplate } from './parse-template'
@@ -104,26 +103,39 @@ export default class TemplateRenderer {
       return template(content, context)
     }
 
+    return (
+      this.renderTemplateStart(template, context) +
+      content +
+      this.renderTemplateEnd(template, context)
+    )
+  }
+
+  // the template before the app content, with the head, resource hints and
+  // styles when injecting
+  renderTemplateStart (template: ParsedTemplate, context: Object): string {
     if (this.inject) {
       return (
         template.head(context) +
         (context.head || '') +
         this.renderResourceHints(context) +
         this.renderStyles(context) +
-        template.neck(context) +
-        content +
-        this.renderState(context) +
-        this.renderScripts(context) +
-        template.tail(context)
+        template.neck(context)
       )
-    } else {
+    }
+    return template.head(context) + template.neck(context)
+  }
+
+  // the template after the app content, with the initial state and the
+  // scripts when injecting
+  renderTemplateEnd (template: ParsedTemplate, context: Object): string {
+    if (this.inject) {
       return (
-        template.head(context) +
-        template.neck(context) +
-        content +
+        this.renderState(context) +
+        this.renderScripts(context) +
         template.tail(context)
       )
     }
+    return template.tail(context)
   }
 
   renderStyles (context: Object): string {
@@ -242,17 +254,19 @@ export default class TemplateRenderer {
   }
 
   // create a transform stream
-  createStream (context: ?Object): TemplateStream {
+  createStream (context: ?Object): stream$Duplex {
     if (!this.parsedTemplate) {
       throw new Error('createStream cannot be called without a template.')
     }
-    return new TemplateStream(this, this.parsedTemplate, context || {})
+    return createTemplateStream(this, this.parsedTemplate, context || {})
   }
 }
 
 function normalizeFile (file: string): Resource {
   const withoutQuery = file.replace(/\?.*/, '')
-  const extension = path.extname(withoutQuery).slice(1)
+  // like path.extname, the template renderer does not depend on Node
+  const match = /[^/.]\.([^/.]*)$/.exec(withoutQuery)
+  const extension = match ? match[1] : ''
   return {
     file,
     extension,
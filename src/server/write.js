@@ -25,8 +25,20 @@ export function createWriteFunction (
 ): Function {
   let stackDepth = 0
   const cachedWrite = (text, next) => {
+    // the content of teleports and error boundaries is written into their
+    // own buffer. The component being cached keeps the text written at the
+    // buffer depth it started rendering at: the buffers opened within it are
+    // written again once complete.
+    const buffers = cachedWrite.buffers
     if (text && cachedWrite.caching) {
-      cachedWrite.cacheBuffer[cachedWrite.cacheBuffer.length - 1] += text
+      const last = cachedWrite.cacheBuffer.length - 1
+      if (cachedWrite.cacheDepth[last] === buffers.length) {
+        cachedWrite.cacheBuffer[last] += text
+      }
+    }
+    if (text && buffers.length) {
+      buffers[buffers.length - 1] += text
+      text = ''
     }
     const waitForNext = write(text, next)
     if (waitForNext !== true) {
@@ -45,6 +57,9 @@ export function createWriteFunction (
   }
   cachedWrite.caching = false
   cachedWrite.cacheBuffer = []
+  cachedWrite.cacheDepth = []
   cachedWrite.componentBuffer = []
+  cachedWrite.tagBuffer = []
+  cachedWrite.buffers = []
   return cachedWrite
 }
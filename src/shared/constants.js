@@ -1,5 +1,13 @@
 export const SSR_ATTR = 'data-server-rendered'
 
+// prefix of the ids of the placeholders of streamed segments and of their
+// content
+export const SSR_SEGMENT_PREFIX = 'vue-ssr-'
+
+// comment rendered in place of the components that failed to render on the
+// server, which the client mounts instead of hydrating them
+export const SSR_CLIENT_MARKER = 'vue-client-only'
+
 export const ASSET_TYPES = [
   'component',
   'directive',
@@ -18,5 +26,22 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
+
+/**
+ * Generated by the compiler with the `patchFlags` option to describe
+ * which parts of an element can change between renders, so that
+ * patching can skip the rest.
+ */
+export const PatchFlags = {
+  TEXT: 1, // the only child is a dynamic text node
+  CLASS: 2, // dynamic class binding
+  STYLE: 4, // dynamic style binding
+  PROPS: 8, // dynamic attrs/domProps, listed in data.dynamicProps
+  FULL_PROPS: 16, // attrs/domProps with dynamic keys
+  KEYED_FRAGMENT: 32, // the only child is a keyed v-for
+  UNKEYED_FRAGMENT: 64 // the only child is a v-for without keys
+}
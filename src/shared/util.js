@@ -63,6 +63,14 @@ export function isRegExp (v: any): boolean {
   return _toString.call(v) === '[object RegExp]'
 }
 
+export function isMap (v: any): boolean {
+  return _toString.call(v) === '[object Map]'
+}
+
+export function isSet (v: any): boolean {
+  return _toString.call(v) === '[object Set]'
+}
+
 /**
  * Check if val is a valid array index.
  */
@@ -317,6 +325,15 @@ export function looseEqual (a: any, b: any): boolean {
   }
 }
 
+/**
+ * Check whether a value has changed, treating NaN as equal to itself.
+ */
+export function hasChanged (value: any, oldValue: any): boolean {
+  /* eslint-disable no-self-compare */
+  return !(value === oldValue || (value !== value && oldValue !== oldValue))
+  /* eslint-enable no-self-compare */
+}
+
 /**
  * Return the first index at which a loosely equal value can be
  * found in the array (if value is a plain object, the array must
@@ -1,6 +1,20 @@
 import Vue from '../../dist/vue.runtime.common.js'
 import { createRenderer } from '../../packages/vue-server-renderer'
-const { renderToStream } = createRenderer()
+const { renderToStream, renderToWebStream } = createRenderer()
+
+function readWebStream (stream, onChunk) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let res = ''
+  const read = () => reader.read().then(({ done, value }) => {
+    if (done) return res
+    expect(value instanceof Uint8Array).toBe(true)
+    res += decoder.decode(value, { stream: true })
+    if (onChunk) onChunk(res)
+    return read()
+  })
+  return read()
+}
 
 describe('SSR: renderToStream', () => {
   it('should render to a stream', done => {
@@ -103,6 +117,227 @@ describe('SSR: renderToStream', () => {
     stream2.read(1)
   })
 
+  describe('out of order', () => {
+    const { renderToStream } = createRenderer({ outOfOrder: true })
+
+    function defer () {
+      let resolve
+      const promise = new Promise(r => { resolve = r })
+      return { promise, resolve }
+    }
+
+    function createSlow (promise) {
+      return {
+        data: () => ({ msg: '' }),
+        serverPrefetch () {
+          return promise.then(msg => { this.msg = msg })
+        },
+        template: '<b>{{ msg }}</b>'
+      }
+    }
+
+    it('should stream pending suspense boundaries after the page', done => {
+      const slow = defer()
+      const stream = renderToStream(new Vue({
+        template: `<div><suspense><slow></slow><template #fallback><i>loading</i></template></suspense>` +
+          `<p>after</p></div>`,
+        components: { slow: createSlow(slow.promise) }
+      }))
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+        if (slow.resolve) {
+          // the page is sent without waiting for the boundary
+          expect(res).toBe(
+            '<div data-server-rendered="true"><!--[--><template id="vue-ssr-p0"></template>' +
+            '<!--[--><i>loading</i><!--]--><!--]--><p>after</p></div>'
+          )
+          slow.resolve('data')
+          slow.resolve = null
+        }
+      })
+      stream.on('end', () => {
+        expect(res).toContain(
+          '<p>after</p></div><template id="vue-ssr-s0"><!--[--><b>data</b><!--]--></template>' +
+          '<script>function __vueSwap('
+        )
+        expect(res).toMatch(/__vueSwap\(0\)<\/script>$/)
+        done()
+      })
+    })
+
+    it('should stream the boundaries in the order they resolve', done => {
+      const first = defer()
+      const second = defer()
+      const stream = renderToStream(new Vue({
+        template: `<div><suspense><first></first></suspense><suspense><second></second></suspense></div>`,
+        components: {
+          first: createSlow(first.promise),
+          second: createSlow(second.promise)
+        }
+      }))
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+        if (second.resolve) {
+          second.resolve('b')
+          second.resolve = null
+          setTimeout(() => first.resolve('a'), 10)
+        }
+      })
+      stream.on('end', () => {
+        const a = res.indexOf('<template id="vue-ssr-s0"><!--[--><b>a</b><!--]--></template>')
+        const b = res.indexOf('<template id="vue-ssr-s1"><!--[--><b>b</b><!--]--></template>')
+        expect(b).toBeGreaterThan(-1)
+        expect(a).toBeGreaterThan(b)
+        // the swap function is only defined once
+        expect(res.split('function __vueSwap').length).toBe(2)
+        done()
+      })
+    })
+
+    it('should render boundaries without pending data in place', done => {
+      const stream = renderToStream(new Vue({
+        template: `<div><suspense><p>a</p><template #fallback><i>loading</i></template></suspense></div>`
+      }))
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => {
+        expect(res).toBe(
+          '<div data-server-rendered="true"><!--[--><!--[--><p>a</p><!--]-->' +
+          '<!--[--><!--]--><!--]--></div>'
+        )
+        done()
+      })
+    })
+
+    it('should catch errors of streamed boundaries', done => {
+      const stream = renderToStream(new Vue({
+        template: `<div><suspense><slow></slow></suspense></div>`,
+        components: {
+          slow: {
+            serverPrefetch: () => Promise.reject(new Error('oops')),
+            template: '<b></b>'
+          }
+        }
+      }))
+      stream.on('error', err => {
+        expect(err.message).toBe('oops')
+        done()
+      })
+      stream.on('end', () => {
+        done.fail('the stream ended without an error')
+      })
+      stream.resume()
+    })
+  })
+
+  describe('web stream', () => {
+    it('should render to a ReadableStream', done => {
+      readWebStream(renderToWebStream(new Vue({
+        template: `<div><p>{{ msg }}</p><async></async></div>`,
+        data: { msg: 'hi' },
+        components: {
+          async: () => Promise.resolve({ template: '<b>async</b>' })
+        }
+      }))).then(res => {
+        expect(res).toBe('<div data-server-rendered="true"><p>hi</p><b>async</b></div>')
+        done()
+      })
+    })
+
+    it('should render in chunks as the stream is read', done => {
+      const list = []
+      for (let i = 0; i < 5000; i++) list.push(i)
+      let chunks = 0
+      readWebStream(renderToWebStream(new Vue({
+        template: `<ul><li v-for="i in list">{{ i }}</li></ul>`,
+        data: { list }
+      })), () => { chunks++ }).then(res => {
+        expect(chunks).toBeGreaterThan(1)
+        expect(res).toContain('<li>4999</li></ul>')
+        done()
+      })
+    })
+
+    it('should error the stream', done => {
+      Vue.config.silent = true
+      renderToWebStream(new Vue({
+        render () {
+          throw new Error('oops')
+        }
+      })).getReader().read().catch(err => {
+        expect(err.message).toBe('oops')
+        Vue.config.silent = false
+        done()
+      })
+    })
+
+    it('should stream out of order', done => {
+      const { renderToWebStream } = createRenderer({ outOfOrder: true })
+      let resolve
+      readWebStream(renderToWebStream(new Vue({
+        template: `<div><suspense><slow></slow></suspense><p>after</p></div>`,
+        components: {
+          slow: {
+            data: () => ({ msg: '' }),
+            serverPrefetch () {
+              return new Promise(r => { resolve = r }).then(msg => { this.msg = msg })
+            },
+            template: '<b>{{ msg }}</b>'
+          }
+        }
+      })), res => {
+        if (resolve) {
+          expect(res).toContain('<p>after</p></div>')
+          resolve('data')
+          resolve = null
+        }
+      }).then(res => {
+        expect(res).toContain('<template id="vue-ssr-s0"><!--[--><b>data</b><!--]--></template>')
+        done()
+      })
+    })
+
+    it('should stop rendering when the stream is cancelled', done => {
+      let resolve
+      const destroyed = jasmine.createSpy('destroyed')
+      const created = jasmine.createSpy('created')
+      const reader = renderToWebStream(new Vue({
+        template: `<div><slow></slow><after></after></div>`,
+        components: {
+          slow: {
+            serverPrefetch () {
+              return new Promise(r => { resolve = r })
+            },
+            destroyed,
+            template: '<b>slow</b>'
+          },
+          after: {
+            created,
+            template: '<p>after</p>'
+          }
+        }
+      })).getReader()
+      reader.read().then(({ done }) => {
+        expect(done).toBe(true)
+      })
+      setTimeout(() => {
+        expect(resolve).toBeDefined()
+        reader.cancel('gone').then(() => {
+          expect(destroyed).toHaveBeenCalled()
+          resolve()
+          setTimeout(() => {
+            expect(created).not.toHaveBeenCalled()
+            done()
+          })
+        })
+      })
+    })
+  })
+
   it('should call context.rendered', done => {
     let a = 0
     const stream = renderToStream(new Vue({
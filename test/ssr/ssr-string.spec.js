@@ -1,6 +1,6 @@
 import Vue from '../../dist/vue.runtime.common.js'
 import VM from 'vm'
-import { createRenderer } from '../../packages/vue-server-renderer'
+import { createRenderer, RenderAbortedError, LRUCache } from '../../packages/vue-server-renderer'
 const { renderToString } = createRenderer()
 
 describe('SSR: renderToString', () => {
@@ -1198,13 +1198,200 @@ describe('SSR: renderToString', () => {
 
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div>{{ a b }}</div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('invalid expression')
       done()
     })
   })
 
+  it('should warn about fragments at the root, which cannot be hydrated', done => {
+    renderVmWithOptions({
+      template: '<p>a</p><p>b</p>'
+    }, res => {
+      expect(res).toBe('<!--[--><p>a</p><p>b</p><!--]-->')
+      expect('which the client cannot hydrate').toHaveBeenTipped()
+      done()
+    })
+  })
+
+  it('should render fragments with hydration markers', done => {
+    renderVmWithOptions({
+      template: '<div><test></test><span>end</span></div>',
+      components: {
+        test: {
+          template: '<p>a</p><p>b</p>'
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true"><!--[--><p>a</p><p>b</p><!--]--><span>end</span></div>'
+      )
+      renderVmWithOptions({
+        template: '<div><dynamic></dynamic></div>',
+        data: { msg: 'hi' },
+        components: {
+          dynamic: {
+            template: '<b>{{ $parent.msg }}</b><i v-for="i in 2">{{ i }}</i>'
+          }
+        }
+      }, res => {
+        expect(res).toBe(
+          '<div data-server-rendered="true"><!--[--><b>hi</b><i>1</i><i>2</i><!--]--></div>'
+        )
+        done()
+      })
+    })
+  })
+
+  it('should await async dependencies of suspense', done => {
+    renderVmWithOptions({
+      template: `<div><suspense><async></async><child></child>` +
+        `<template #fallback><i>loading</i></template></suspense></div>`,
+      components: {
+        async: () => Promise.resolve({ template: '<b>async</b>' }),
+        child: {
+          data: () => ({ msg: '' }),
+          created () {
+            return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+              this.msg = 'data'
+            })
+          },
+          template: '<p>{{ msg }}</p>'
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true"><!--[--><!--[--><b>async</b><p>data</p><!--]-->' +
+        '<!--[--><!--]--><!--]--></div>'
+      )
+      done()
+    })
+  })
+
+  it('should render the fallback of error boundaries', done => {
+    renderVmWithOptions({
+      template: `<div><error-boundary><template #default><p>a</p><child></child></template>` +
+        `<template #fallback="{ error, info }"><i>{{ error.message }} in {{ info }}</i></template>` +
+        `</error-boundary><span>b</span></div>`,
+      components: {
+        child: {
+          render () { throw new Error('oops') }
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true"><i>oops in render</i><span>b</span></div>'
+      )
+      done()
+    })
+  })
+
+  it('should render the content of error boundaries without v-slot', done => {
+    renderVmWithOptions({
+      template: `<div><error-boundary><p>a</p><child></child>` +
+        `<template #fallback="{ error }"><i>{{ error.message }}</i></template>` +
+        `</error-boundary><error-boundary><b>b</b></error-boundary></div>`,
+      components: {
+        child: {
+          render () { throw new Error('oops') }
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true"><i>oops</i><b>b</b></div>'
+      )
+      done()
+    })
+  })
+
+  it('should render teleports into the context', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `<div><teleport to="#modals"><p>{{ msg }}</p></teleport>` +
+        `<teleport to="#modals"><b>b</b></teleport>` +
+        `<teleport to="#modals" disabled><i>c</i></teleport></div>`,
+      data: { msg: 'a' }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        '<div data-server-rendered="true"><!--[--><!--]--><!--[--><!--]-->' +
+        '<!--[--><i>c</i><!--]--></div>'
+      )
+      expect(context.teleports).toEqual({
+        '#modals': '<p>a</p><!--teleport--><b>b</b><!--teleport-->'
+      })
+      done()
+    })
+  })
+
+  describe('cached components in buffers', () => {
+    const cached = {
+      name: 'cached',
+      serverCacheKey: () => 'key',
+      render: h => h('b', 'cached')
+    }
+
+    function renderTwice (options, cb) {
+      const cache = new LRUCache()
+      const { renderToString } = createRenderer({ cache })
+      const render = next => {
+        const context = {}
+        renderToString(new Vue(options), context, (err, res) => {
+          expect(err).toBeNull()
+          next(res, context)
+        })
+      }
+      render((res1, context1) => {
+        expect(cache.get('cached::key').html).toBe('<b>cached</b>')
+        render((res2, context2) => {
+          cb(res1, context1, res2, context2)
+        })
+      })
+    }
+
+    it('should cache components rendered in error boundaries', done => {
+      renderTwice({
+        template: '<div><error-boundary><template #default><cached></cached></template></error-boundary></div>',
+        components: { cached }
+      }, (res1, context1, res2) => {
+        expect(res1).toBe('<div data-server-rendered="true"><b>cached</b></div>')
+        expect(res2).toBe(res1)
+        done()
+      })
+    })
+
+    it('should cache components rendered in teleports', done => {
+      renderTwice({
+        template: '<div><teleport to="#modals"><cached></cached></teleport></div>',
+        components: { cached }
+      }, (res1, context1, res2, context2) => {
+        expect(context1.teleports['#modals']).toBe('<b>cached</b><!--teleport-->')
+        expect(context2.teleports).toEqual(context1.teleports)
+        expect(res2).toBe(res1)
+        done()
+      })
+    })
+
+    it('should not repeat the error boundaries of cached components', done => {
+      renderTwice({
+        template: '<div><wrap></wrap></div>',
+        components: {
+          wrap: {
+            name: 'wrap',
+            serverCacheKey: () => 'key',
+            template: '<p><error-boundary><template #default><cached></cached></template></error-boundary></p>',
+            components: { cached }
+          }
+        }
+      }, (res1, context1, res2) => {
+        expect(res1).toBe('<div data-server-rendered="true"><p><b>cached</b></p></div>')
+        expect(res2).toBe(res1)
+        done()
+      })
+    })
+  })
+
   // #6907
   it('should not optimize root if conditions', done => {
     renderVmWithOptions({
@@ -1666,6 +1853,365 @@ describe('SSR: renderToString', () => {
       done()
     })
   })
+
+  it('standalone reactivity API', done => {
+    const count = Vue.ref(1)
+    const state = Vue.reactive({ items: ['a'] })
+    const summary = Vue.computed(() => `${count.value}:${state.items.join(',')}`)
+    const effect = jasmine.createSpy('effect')
+    const stop = Vue.watchEffect(() => effect(count.value))
+    expect(effect).toHaveBeenCalledWith(1)
+    const options = {
+      render: h => h('div', summary.value)
+    }
+    renderVmWithOptions(options, result => {
+      expect(result).toContain('<div data-server-rendered="true">1:a</div>')
+      count.value = 2
+      state.items.push('b')
+      renderVmWithOptions(options, result => {
+        expect(result).toContain('<div data-server-rendered="true">2:a,b</div>')
+        stop()
+        done()
+      })
+    })
+  })
+
+  describe('client fallback', () => {
+    const renderWithOnError = (components, cb) => {
+      const onError = jasmine.createSpy('onError')
+      renderToString(new Vue({
+        template: '<div><b>ok</b><broken></broken><p>after</p></div>',
+        components
+      }), { onError }, (err, res) => {
+        expect(err).toBeNull()
+        cb(res, onError)
+      })
+    }
+
+    it('should replace components failing to render', done => {
+      const err = new Error('oops')
+      const destroyed = jasmine.createSpy('destroyed')
+      renderWithOnError({
+        broken: {
+          destroyed,
+          render () { throw err }
+        }
+      }, (res, onError) => {
+        expect(res).toBe(
+          '<div data-server-rendered="true"><b>ok</b><!--vue-client-only--><p>after</p></div>'
+        )
+        expect(onError).toHaveBeenCalledTimes(1)
+        expect(onError.calls.argsFor(0)[0]).toBe(err)
+        expect(onError.calls.argsFor(0)[1].$options.destroyed).toContain(destroyed)
+        expect(destroyed).toHaveBeenCalled()
+        expect('Error in render').toHaveBeenWarned()
+        done()
+      })
+    })
+
+    it('should replace components failing to be created', done => {
+      renderWithOnError({
+        broken: {
+          created () { throw new Error('oops') },
+          template: '<i></i>'
+        }
+      }, (res, onError) => {
+        expect(res).toContain('<b>ok</b><!--vue-client-only--><p>after</p>')
+        expect(onError).toHaveBeenCalledTimes(1)
+        expect('Error in created hook').toHaveBeenWarned()
+        done()
+      })
+    })
+
+    it('should replace components failing to prefetch', done => {
+      renderWithOnError({
+        broken: {
+          serverPrefetch () {
+            return Promise.reject(new Error('prefetch'))
+          },
+          template: '<i></i>'
+        }
+      }, (res, onError) => {
+        expect(res).toContain('<b>ok</b><!--vue-client-only--><p>after</p>')
+        expect(onError.calls.argsFor(0)[0].message).toBe('prefetch')
+        done()
+      })
+    })
+
+    it('should not cache the components containing the marker', done => {
+      const cache = { get: () => {}, set: jasmine.createSpy('set') }
+      const { renderToString } = createRenderer({ cache })
+      renderToString(new Vue({
+        template: '<div><cached></cached></div>',
+        components: {
+          cached: {
+            name: 'cached',
+            serverCacheKey: () => 'key',
+            render: h => h('span', [h({ render () { throw new Error('oops') } })])
+          }
+        }
+      }), { onError: () => {} }, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toContain('<span><!--vue-client-only--></span>')
+        expect(cache.set).not.toHaveBeenCalled()
+        expect('Error in render').toHaveBeenWarned()
+        done()
+      })
+    })
+
+    it('should fail without context.onError', done => {
+      renderToString(new Vue({
+        template: '<div><broken></broken></div>',
+        components: {
+          broken: { render () { throw new Error('oops') } }
+        }
+      }), err => {
+        expect(err.message).toBe('oops')
+        expect('Error in render').toHaveBeenWarned()
+        done()
+      })
+    })
+  })
+
+  describe('component cache', () => {
+    const product = { id: 1, name: 'a' }
+    const card = {
+      name: 'card',
+      serverCacheKey: () => ({
+        key: product.id,
+        ttl: 1000,
+        tags: [`product:${product.id}`]
+      }),
+      render: h => h('b', product.name)
+    }
+
+    beforeEach(() => {
+      product.name = 'a'
+    })
+
+    function render (cache, template, context, cb) {
+      createRenderer({ cache }).renderToString(new Vue({
+        template,
+        components: {
+          card,
+          list: {
+            name: 'list',
+            serverCacheKey: () => 'all',
+            template: '<ul><card></card></ul>',
+            components: { card }
+          }
+        }
+      }), context, (err, res) => {
+        expect(err).toBeNull()
+        cb(res)
+      })
+    }
+
+    it('should cache with a ttl and invalidate by tags', done => {
+      const cache = new LRUCache()
+      spyOn(cache, 'set').and.callThrough()
+      const context = {}
+      render(cache, '<div><card></card></div>', context, res => {
+        expect(res).toContain('<b>a</b>')
+        expect(cache.set.calls.argsFor(0)[0]).toBe('card::1')
+        expect(cache.set.calls.argsFor(0)[1].tags).toEqual(['product:1'])
+        expect(cache.set.calls.argsFor(0)[2]).toBe(1000)
+        expect(context.cacheStats).toEqual({ hits: 0, misses: 1 })
+        product.name = 'b'
+        render(cache, '<div><card></card></div>', context, res => {
+          expect(res).toContain('<b>a</b>')
+          expect(context.cacheStats).toEqual({ hits: 1, misses: 1 })
+          cache.invalidate('product:1')
+          render(cache, '<div><card></card></div>', {}, res => {
+            expect(res).toContain('<b>b</b>')
+            done()
+          })
+        })
+      })
+    })
+
+    it('should invalidate the components containing tagged ones', done => {
+      const cache = new LRUCache()
+      render(cache, '<div><list></list></div>', {}, () => {
+        expect(cache.get('list::all').tags).toEqual(['product:1'])
+        // the child is cached on its own as well
+        cache.delete('list::all')
+        render(cache, '<div><list></list></div>', {}, () => {
+          expect(cache.get('list::all').tags).toEqual(['product:1'])
+          cache.invalidate(['product:1'])
+          expect(cache.has('list::all')).toBe(false)
+          expect(cache.has('card::1')).toBe(false)
+          done()
+        })
+      })
+    })
+
+    it('should support stores returning promises', done => {
+      const entries = {}
+      const cache = {
+        get: key => Promise.resolve(entries[key]),
+        set: (key, val) => {
+          entries[key] = val
+          return Promise.resolve()
+        }
+      }
+      const context = {}
+      render(cache, '<div><card></card></div>', context, res => {
+        expect(res).toContain('<b>a</b>')
+        product.name = 'b'
+        render(cache, '<div><card></card></div>', context, res => {
+          expect(res).toContain('<b>a</b>')
+          expect(context.cacheStats).toEqual({ hits: 1, misses: 1 })
+          done()
+        })
+      })
+    })
+
+    it('should fail with the errors of async stores', done => {
+      const cache = {
+        get: () => Promise.reject(new Error('store')),
+        set: () => {}
+      }
+      createRenderer({ cache }).renderToString(new Vue({
+        template: '<div><card></card></div>',
+        components: { card }
+      }), err => {
+        expect(err.message).toBe('store')
+        done()
+      })
+    })
+
+    it('should fail with the errors following async cache hits', done => {
+      const cache = {
+        get: () => Promise.resolve({ html: '<b>a</b>', components: [], tags: [] }),
+        set: () => {}
+      }
+      createRenderer({ cache }).renderToString(new Vue({
+        template: '<div><card></card><broken></broken></div>',
+        components: {
+          card,
+          broken: { render () { throw new Error('oops') } }
+        }
+      }), err => {
+        expect(err.message).toBe('oops')
+        expect('Error in render').toHaveBeenWarned()
+        done()
+      })
+    })
+
+    it('should warn about failed writes of async stores', done => {
+      const cache = {
+        get: () => Promise.resolve(),
+        set: () => Promise.reject(new Error('store down'))
+      }
+      render(cache, '<div><card></card></div>', {}, res => {
+        expect(res).toContain('<b>a</b>')
+        setTimeout(() => {
+          expect('Failed to cache component card::1: Error: store down').toHaveBeenTipped()
+          done()
+        })
+      })
+    })
+
+    it('should evict the least recently used and expired entries', () => {
+      const cache = new LRUCache({ max: 2, ttl: 100 })
+      let now = 0
+      spyOn(Date, 'now').and.callFake(() => now)
+      cache.set('a', 1)
+      cache.set('b', 2, 50)
+      cache.get('a')
+      cache.set('c', 3)
+      expect(cache.has('b')).toBe(false)
+      expect(cache.get('a')).toBe(1)
+      now = 100
+      expect(cache.get('a')).toBeUndefined()
+      expect(cache.get('c')).toBeUndefined()
+    })
+
+    it('should not replace a ttl of 0 with the default', () => {
+      const cache = new LRUCache({ ttl: 100 })
+      spyOn(Date, 'now').and.returnValue(0)
+      cache.set('a', 1, 0)
+      expect(cache.has('a')).toBe(false)
+    })
+  })
+
+  describe('abort', () => {
+    const hung = () => new Promise(() => {})
+
+    it('should time out on a pending serverPrefetch', done => {
+      const destroyed = jasmine.createSpy('destroyed')
+      renderToString(new Vue({
+        template: '<div><span>a</span><child></child></div>',
+        components: {
+          child: {
+            name: 'child',
+            serverPrefetch: hung,
+            destroyed,
+            template: '<b>b</b>'
+          }
+        }
+      }), { timeout: 20 }).then(() => {
+        done.fail('should have timed out')
+      }, err => {
+        expect(err instanceof RenderAbortedError).toBe(true)
+        expect(err.component).toBe('child')
+        expect(err.message).toContain('Rendering timed out after 20ms while waiting for component child')
+        expect(destroyed).toHaveBeenCalledTimes(1)
+        done()
+      })
+    })
+
+    it('should abort a pending async component with a signal', done => {
+      const controller = new AbortController()
+      const reason = new Error('client gone')
+      renderToString(new Vue({
+        template: '<div><lazy></lazy></div>',
+        components: { lazy: hung }
+      }), { signal: controller.signal }).then(() => {
+        done.fail('should have been aborted')
+      }, err => {
+        expect(err instanceof RenderAbortedError).toBe(true)
+        expect(err.component).toBe('lazy')
+        expect(err.reason).toBe(reason)
+        expect(err.message).toContain('Rendering aborted while waiting for component lazy')
+        done()
+      })
+      setTimeout(() => controller.abort(reason))
+    })
+
+    it('should not render with an aborted signal', done => {
+      const controller = new AbortController()
+      controller.abort()
+      const render = jasmine.createSpy('render').and.callFake(h => h('div'))
+      renderToString(new Vue({ render }), { signal: controller.signal }, err => {
+        expect(err instanceof RenderAbortedError).toBe(true)
+        expect(err.component).toBeNull()
+        expect(render).not.toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('should ignore the abort once rendered', done => {
+      const controller = new AbortController()
+      const cb = jasmine.createSpy('cb')
+      renderToString(new Vue({
+        template: '<div>{{ msg }}</div>',
+        data: { msg: 'hi' },
+        serverPrefetch () {
+          return new Promise(resolve => setTimeout(resolve))
+        }
+      }), { signal: controller.signal, timeout: 100 }, cb)
+      setTimeout(() => {
+        controller.abort()
+        setTimeout(() => {
+          expect(cb.calls.count()).toBe(1)
+          expect(cb).toHaveBeenCalledWith(null, '<div data-server-rendered="true">hi</div>')
+          done()
+        }, 150)
+      }, 20)
+    })
+  })
 })
 
 function renderVmWithOptions (options, cb) {
@@ -7,6 +7,18 @@ import { createRenderer as createBundleRenderer } from './ssr-bundle-render.spec
 const defaultTemplate = `<html><head></head><body><!--vue-ssr-outlet--></body></html>`
 const interpolateTemplate = `<html><head><title>{{ title }}</title></head><body><!--vue-ssr-outlet-->{{{ snippet }}}</body></html>`
 
+function readWebStream (stream) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let res = ''
+  const read = () => reader.read().then(({ done, value }) => {
+    if (done) return res
+    res += decoder.decode(value, { stream: true })
+    return read()
+  })
+  return read()
+}
+
 function generateClientManifest (file, cb) {
   compileWithWebpack(file, {
     output: {
@@ -303,6 +315,38 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToWebStream with interpolation and context.rendered', done => {
+    const renderer = createRenderer({
+      template: interpolateTemplate
+    })
+
+    const context = {
+      title: '<script>hacks</script>',
+      snippet: '<div>foo</div>',
+      head: '<meta name="viewport" content="width=device-width">',
+      styles: '<style>h1 { color: red }</style>',
+      state: { a: 0 },
+      rendered: context => {
+        context.state.a = 1
+      }
+    }
+
+    readWebStream(renderer.renderToWebStream(new Vue({
+      template: '<div>hi</div>'
+    }), context)).then(res => {
+      expect(res).toBe(
+        `<html><head>` +
+        `<title>&lt;script&gt;hacks&lt;/script&gt;</title>` +
+        `${context.head}${context.styles}</head><body>` +
+        `<div data-server-rendered="true">hi</div>` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `<div>foo</div>` +
+        `</body></html>`
+      )
+      done()
+    })
+  })
+
   it('bundleRenderer + renderToString', done => {
     createBundleRenderer('app.js', {
       asBundle: true,
@@ -357,6 +401,30 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('bundleRenderer + renderToWebStream', done => {
+    createBundleRenderer('app.js', {
+      asBundle: true,
+      template: defaultTemplate
+    }, renderer => {
+      const context = {
+        head: '<meta name="viewport" content="width=device-width">',
+        styles: '<style>h1 { color: red }</style>',
+        state: { a: 1 },
+        url: '/test'
+      }
+      readWebStream(renderer.renderToWebStream(context)).then(res => {
+        expect(res).toContain(
+          `<html><head>${context.head}${context.styles}</head><body>` +
+          `<div data-server-rendered="true">/test</div>` +
+          `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+          `</body></html>`
+        )
+        expect(context.msg).toBe('hello')
+        done()
+      })
+    })
+  })
+
   const expectedHTMLWithManifest = (options = {}) =>
     `<html><head>` +
       // used chunks should have preload
@@ -0,0 +1,171 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  function mount (child, options = {}) {
+    return new Vue(Object.assign({
+      template: `
+        <div><error-boundary @error="onError">
+          <template #default><child></child></template>
+          <template #fallback="{ error, info, reset }">
+            <p @click="reset">{{ error.message }} in {{ info }}</p>
+          </template>
+        </error-boundary></div>
+      `,
+      methods: { onError: () => {} },
+      components: { child }
+    }, options)).$mount()
+  }
+
+  it('should render the fallback on render errors', done => {
+    let fail = true
+    const vm = mount({
+      render (h) {
+        if (fail) throw new Error('oops')
+        return h('b', 'ok')
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>oops in render</p>')
+      fail = false
+      vm.$el.firstChild.click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>ok</b>')
+    }).then(done)
+  })
+
+  it('should render content without v-slot', done => {
+    let fail = false
+    const vm = new Vue({
+      template: `
+        <div><error-boundary>
+          <child></child>
+          <template #fallback="{ error, reset }">
+            <p @click="reset">{{ error.message }}</p>
+          </template>
+        </error-boundary></div>
+      `,
+      components: {
+        child: {
+          render (h) {
+            if (fail) throw new Error('oops')
+            return h('b', 'ok')
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>ok</b>')
+    fail = true
+    vm.$children[0].$children[0].$forceUpdate()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>oops</p>')
+      fail = false
+      vm.$el.firstChild.click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>ok</b>')
+    }).then(done)
+  })
+
+  it('should replace a subtree that fails on update', done => {
+    const vm = mount({
+      data: () => ({ n: 0 }),
+      render (h) {
+        if (this.n > 0) throw new Error('update')
+        return h('b', this.n)
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<b>0</b>')
+    const child = vm.$children[0].$children[0]
+    child.n++
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>update in render</p>')
+      expect(child._isDestroyed).toBe(true)
+    }).then(done)
+  })
+
+  it('should catch watcher and async handler errors', done => {
+    const vm = mount({
+      data: () => ({ n: 0 }),
+      watch: {
+        n () { throw new Error('watcher') }
+      },
+      methods: {
+        onClick () {
+          return Promise.reject(new Error('async'))
+        }
+      },
+      template: '<b @click="onClick">{{ n }}</b>'
+    })
+    const child = vm.$children[0].$children[0]
+    child.n++
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>watcher in callback for watcher "n"</p>')
+      vm.$el.firstChild.click()
+    }).then(() => {
+      vm.$el.firstChild.click()
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>async in v-on handler (Promise/async)</p>')
+      vm.$el.firstChild.click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>0</b>')
+    }).then(done)
+  })
+
+  it('should catch lifecycle hook errors', done => {
+    const vm = mount({
+      mounted () { throw new Error('hook') },
+      template: '<b></b>'
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>hook in mounted hook</p>')
+    }).then(done)
+  })
+
+  it('should stop the propagation of captured errors', done => {
+    const errorCaptured = jasmine.createSpy('errorCaptured')
+    const onError = jasmine.createSpy('error')
+    const err = new Error('oops')
+    let child
+    const vm = mount({
+      created () {
+        child = this
+        throw err
+      },
+      template: '<b></b>'
+    }, {
+      errorCaptured,
+      methods: { onError }
+    })
+    waitForUpdate(() => {
+      expect(errorCaptured).not.toHaveBeenCalled()
+      expect(onError).toHaveBeenCalledWith(err, child, 'created hook')
+      expect(vm.$el.innerHTML).toBe('<p>oops in created hook</p>')
+    }).then(done)
+  })
+
+  it('should propagate errors of the fallback', done => {
+    const errorCaptured = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    const vm = new Vue({
+      template: `
+        <div><error-boundary>
+          <template #default><child></child></template>
+          <template #fallback><fallback></fallback></template>
+        </error-boundary></div>
+      `,
+      errorCaptured,
+      components: {
+        child: {
+          created () { throw new Error('oops') },
+          render: h => h('b')
+        },
+        fallback: {
+          created () { throw new Error('fallback') },
+          render: h => h('i')
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(errorCaptured).toHaveBeenCalledTimes(1)
+      expect(vm.$el.innerHTML).toBe('<i></i>')
+    }).then(done)
+  })
+})
@@ -0,0 +1,176 @@
+import Vue from 'vue'
+
+describe('Component fragments', () => {
+  it('should render multiple root elements', done => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      data: { msg: 'a' },
+      components: {
+        test: {
+          template: '<h1>{{ $parent.msg }}</h1><p>{{ $parent.msg }}!</p>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<h1>a</h1><p>a!</p>')
+    // $el is the start anchor of the fragment
+    expect(child.$el.nodeType).toBe(3)
+    expect(child.$el.textContent).toBe('')
+    expect(child.$el.nextSibling.tagName).toBe('H1')
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<h1>b</h1><p>b!</p>')
+    }).then(done)
+  })
+
+  it('should render arrays returned by render functions', done => {
+    const vm = new Vue({
+      template: '<div><test></test><span>end</span></div>',
+      data: { list: ['a', 'b'] },
+      components: {
+        test: {
+          render (h) {
+            return this.$parent.list.map(item => h('i', { key: item }, item))
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<i>a</i><i>b</i><span>end</span>')
+    vm.list = ['c', 'b', 'a']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<i>c</i><i>b</i><i>a</i><span>end</span>')
+      vm.list = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><span>end</span>')
+      vm.list = ['d', 'e']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<i>d</i><i>e</i><span>end</span>')
+    }).then(done)
+  })
+
+  it('should switch between a fragment and a single root', done => {
+    const vm = new Vue({
+      template: '<div><test></test><span>end</span></div>',
+      data: { ok: true },
+      components: {
+        test: {
+          render (h) {
+            const b = h('p', 'b')
+            return this.$parent.ok ? [h('p', 'a'), b] : b
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p><span>end</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>b</p><span>end</span>')
+      expect(vm.$children[0].$el.tagName).toBe('P')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p><span>end</span>')
+      expect(vm.$children[0].$el.nodeType).toBe(3)
+    }).then(done)
+  })
+
+  it('should move and remove fragments in keyed lists', done => {
+    const vm = new Vue({
+      template: '<div><test v-for="item in list" :key="item"></test></div>',
+      data: { list: ['a', 'b', 'c'] },
+      components: {
+        test: {
+          template: '<b>{{ $vnode.key }}</b><i>{{ $vnode.key }}</i>'
+        }
+      }
+    }).$mount()
+    const text = () => vm.$el.textContent
+    expect(text()).toBe('aabbcc')
+    vm.list = ['c', 'a', 'b']
+    waitForUpdate(() => {
+      expect(text()).toBe('ccaabb')
+      vm.list = ['b', 'c']
+    }).then(() => {
+      expect(text()).toBe('bbcc')
+      expect(vm.$el.childNodes.length).toBe(8)
+      vm.list = ['a', 'c', 'd', 'b']
+    }).then(() => {
+      expect(text()).toBe('aaccddbb')
+      expect(vm.$el.innerHTML).toBe(
+        '<b>a</b><i>a</i><b>c</b><i>c</i><b>d</b><i>d</i><b>b</b><i>b</i>'
+      )
+    }).then(done)
+  })
+
+  it('should render nested fragments', done => {
+    const vm = new Vue({
+      template: '<div><outer></outer><span>end</span></div>',
+      data: { n: 1 },
+      components: {
+        outer: {
+          template: '<inner></inner><p>{{ $root.n }}</p>',
+          components: {
+            inner: {
+              template: '<b>{{ $root.n }}</b><i v-for="i in $root.n">{{ i }}</i>'
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>1</b><i>1</i><p>1</p><span>end</span>')
+    vm.n = 3
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<b>3</b><i>1</i><i>2</i><i>3</i><p>3</p><span>end</span>')
+    }).then(done)
+  })
+
+  it('should remove all nodes of a fragment', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: '<div><test v-if="ok"></test><span>end</span></div>',
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<p>a</p><p>b</p>',
+          destroyed
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p><span>end</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><span>end</span>')
+      expect(vm.$el.childNodes.length).toBe(2)
+      expect(destroyed).toHaveBeenCalled()
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p><span>end</span>')
+    }).then(done)
+  })
+
+  it('should mount a root instance with multiple root elements', done => {
+    const container = document.createElement('div')
+    const el = document.createElement('div')
+    container.appendChild(el)
+    const vm = new Vue({
+      template: '<h1>{{ msg }}</h1><p>{{ msg }}</p>',
+      data: { msg: 'hi' }
+    }).$mount(el)
+    expect(container.innerHTML).toBe('<h1>hi</h1><p>hi</p>')
+    expect(vm.$el).toBe(container.firstChild)
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(container.innerHTML).toBe('<h1>bye</h1><p>bye</p>')
+    }).then(done)
+  })
+
+  it('should render root template and v-for elements', () => {
+    const vm = new Vue({
+      template: '<div><template-root></template-root><for-root></for-root></div>',
+      components: {
+        templateRoot: { template: '<template v-if="true"><i>1</i><i>2</i></template>' },
+        forRoot: { template: '<span v-for="i in 2">{{ i }}</span>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<i>1</i><i>2</i><span>1</span><span>2</span>')
+  })
+})
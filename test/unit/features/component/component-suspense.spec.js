@@ -0,0 +1,115 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  function defer () {
+    let resolve
+    const promise = new Promise(r => { resolve = r })
+    return { promise, resolve }
+  }
+
+  it('should render the fallback until async components resolve', done => {
+    const { promise, resolve } = defer()
+    const pending = jasmine.createSpy('pending')
+    const resolved = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: `
+        <div><suspense @pending="pending" @resolve="resolved">
+          <async></async><p>b</p><template #fallback><i>loading</i></template>
+        </suspense></div>
+      `,
+      methods: { pending, resolved },
+      components: {
+        async: () => promise
+      }
+    }).$mount()
+    expect(pending).toHaveBeenCalled()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<i>loading</i>')
+      resolve({ template: '<p>a</p>' })
+    }).thenWaitFor(20).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p>')
+      expect(resolved.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should render the content directly without async dependencies', () => {
+    const pending = jasmine.createSpy('pending')
+    const vm = new Vue({
+      template: `
+        <div><suspense @pending="pending">
+          <p>a</p><template #fallback><i>loading</i></template>
+        </suspense></div>
+      `,
+      methods: { pending }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p>')
+    expect(pending).not.toHaveBeenCalled()
+  })
+
+  it('should wait for nested async components and async created hooks', done => {
+    const inner = defer()
+    const data = defer()
+    const resolved = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: `
+        <div><suspense @resolve="resolved">
+          <outer></outer><template #fallback><i>loading</i></template>
+        </suspense></div>
+      `,
+      methods: { resolved },
+      components: {
+        outer: () => Promise.resolve({
+          template: '<div><inner></inner><child></child></div>',
+          components: {
+            inner: () => inner.promise,
+            child: {
+              data: () => ({ msg: '' }),
+              created () {
+                return data.promise.then(msg => { this.msg = msg })
+              },
+              template: '<p>{{ msg }}</p>'
+            }
+          }
+        })
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<i>loading</i>')
+      inner.resolve({ template: '<b>inner</b>' })
+    }).thenWaitFor(20).then(() => {
+      expect(vm.$el.innerHTML).toBe('<i>loading</i>')
+      expect(resolved).not.toHaveBeenCalled()
+      data.resolve('data')
+    }).thenWaitFor(20).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><b>inner</b><p>data</p></div>')
+      expect(resolved.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should keep the resolved content on new async dependencies', done => {
+    const { promise, resolve } = defer()
+    const pending = jasmine.createSpy('pending')
+    const resolved = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: `
+        <div><suspense @pending="pending" @resolve="resolved">
+          <p>a</p><async v-if="ok"></async><template #fallback><i>loading</i></template>
+        </suspense></div>
+      `,
+      data: { ok: false },
+      methods: { pending, resolved },
+      components: {
+        async: () => promise
+      }
+    }).$mount()
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(pending).toHaveBeenCalled()
+      expect(vm.$el.innerHTML).toBe('<p>a</p><!---->')
+      resolve({ template: '<p>b</p>' })
+    }).thenWaitFor(20).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a</p><p>b</p>')
+      expect(resolved.calls.count()).toBe(1)
+    }).then(done)
+  })
+})
@@ -0,0 +1,145 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    document.body.appendChild(target)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+  })
+
+  it('should render the content into the target', done => {
+    const vm = new Vue({
+      template: `<div><teleport to="#teleport-target"><p>{{ msg }}</p><span>b</span></teleport><i>c</i></div>`,
+      data: { msg: 'a' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<i>c</i>')
+    expect(target.innerHTML).toBe('<p>a</p><span>b</span>')
+    vm.msg = 'd'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>d</p><span>b</span>')
+    }).then(done)
+  })
+
+  it('should accept an element as target', () => {
+    const vm = new Vue({
+      template: `<div><teleport :to="target"><p>a</p></teleport></div>`,
+      data: { target }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('')
+    expect(target.innerHTML).toBe('<p>a</p>')
+  })
+
+  it('should keep the content in the component tree', () => {
+    const vm = new Vue({
+      template: `<div><teleport to="#teleport-target"><child></child></teleport></div>`,
+      provide: { foo: 'bar' },
+      components: {
+        child: {
+          inject: ['foo'],
+          template: '<p>{{ foo }}</p>'
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>bar</p>')
+    // teleport is abstract, like keep-alive
+    expect(vm.$children[0].$parent).toBe(vm)
+  })
+
+  it('should patch lists and conditions in the target', done => {
+    const vm = new Vue({
+      template: `
+        <div><teleport to="#teleport-target">
+          <p v-if="ok">ok</p><b v-for="i in list" :key="i">{{ i }}</b>
+        </teleport></div>
+      `,
+      data: { ok: true, list: [1, 2, 3] }
+    }).$mount()
+    target.appendChild(document.createElement('hr'))
+    expect(target.innerHTML).toBe('<p>ok</p><b>1</b><b>2</b><b>3</b><hr>')
+    vm.ok = false
+    vm.list = [3, 1, 4]
+    waitForUpdate(() => {
+      // new content is inserted before the anchor of the teleport
+      expect(target.innerHTML).toBe('<!----><b>3</b><b>1</b><b>4</b><hr>')
+    }).then(done)
+  })
+
+  it('should keep the order of several teleports into the same target', () => {
+    new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><p>a</p></teleport>
+          <teleport to="#teleport-target"><p>b</p></teleport>
+        </div>
+      `
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p><p>b</p>')
+  })
+
+  it('should render in place when disabled', done => {
+    const vm = new Vue({
+      template: `<div><teleport to="#teleport-target" :disabled="disabled"><p>a</p></teleport><i>b</i></div>`,
+      data: { disabled: true }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p><i>b</i>')
+    expect(target.innerHTML).toBe('')
+    const p = vm.$el.querySelector('p')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<i>b</i>')
+      expect(target.innerHTML).toBe('<p>a</p>')
+      expect(target.firstChild).toBe(p)
+      vm.disabled = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a</p><i>b</i>')
+      expect(target.innerHTML).toBe('')
+      expect(vm.$el.firstChild.nextSibling).toBe(p)
+    }).then(done)
+  })
+
+  it('should move the content when the target changes', done => {
+    const other = document.createElement('div')
+    const vm = new Vue({
+      template: `<div><teleport :to="to"><p>a</p><p>b</p></teleport></div>`,
+      data: { to: '#teleport-target' }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p><p>b</p>')
+    vm.to = other
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<p>a</p><p>b</p>')
+    }).then(done)
+  })
+
+  it('should remove the content with the teleport', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport v-if="ok" to="#teleport-target"><p>a</p></teleport>
+        </div>
+      `,
+      data: { ok: true }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.childNodes.length).toBe(0)
+      vm.ok = true
+    }).then(() => {
+      expect(target.innerHTML).toBe('<p>a</p>')
+    }).then(done)
+  })
+
+  it('should render in place and warn when the target is missing', () => {
+    const vm = new Vue({
+      template: `<div><teleport to="#missing"><p>a</p></teleport></div>`
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p>')
+    expect('Cannot find the teleport target "#missing"').toHaveBeenWarned()
+  })
+})
@@ -64,9 +64,9 @@ describe('Component', () => {
     expect(vm.$el.innerHTML).toBe('<span>child</span>')
   })
 
-  it('fragment instance warning', () => {
-    new Vue({
-      template: '<test></test>',
+  it('multiple root elements', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
       components: {
         test: {
           data () {
@@ -76,7 +76,7 @@ describe('Component', () => {
         }
       }
     }).$mount()
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<p>123</p><p>234</p>')
   })
 
   it('dynamic', done => {
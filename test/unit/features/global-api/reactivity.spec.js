@@ -0,0 +1,264 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive', () => {
+    const state = Vue.reactive({ a: 1, b: { c: 2 } })
+    expect(Vue.isReactive(state)).toBe(true)
+    expect(Vue.isReactive(state.b)).toBe(true)
+    expect(Vue.isReactive({})).toBe(false)
+  })
+
+  it('reactive should warn on primitive values', () => {
+    expect(Vue.reactive(1)).toBe(1)
+    expect('reactive() can only be called on objects or arrays').toHaveBeenWarned()
+  })
+
+  it('shallowReactive', done => {
+    const state = Vue.shallowReactive({ a: 1, nested: { b: 1 }, list: [{}] })
+    expect(Vue.isReactive(state)).toBe(true)
+    expect(Vue.isShallow(state)).toBe(true)
+    expect(Vue.isReactive(state.nested)).toBe(false)
+    expect(Vue.isReactive(state.list)).toBe(false)
+
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => spy(state.a, state.nested.b))
+    state.nested.b++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      state.a++
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(2, 2)
+      // values added later are not converted either
+      Vue.set(state, 'added', { c: 1 })
+      expect(Vue.isReactive(state.added)).toBe(false)
+      state.nested = { b: 3 }
+      expect(Vue.isReactive(state.nested)).toBe(false)
+    }).then(done)
+  })
+
+  it('shallowReactive arrays', () => {
+    const list = Vue.shallowReactive([{ a: 1 }])
+    expect(Vue.isReactive(list)).toBe(true)
+    expect(Vue.isReactive(list[0])).toBe(false)
+    list.push({ b: 1 })
+    expect(Vue.isReactive(list[1])).toBe(false)
+  })
+
+  it('readonly', () => {
+    const state = Vue.readonly({ a: 1, nested: { b: 1 }, list: [{ c: 1 }] })
+    expect(Vue.isReadonly(state)).toBe(true)
+    expect(Vue.isReadonly(state.nested)).toBe(true)
+    expect(Vue.isReadonly(state.list[0])).toBe(true)
+    expect(Vue.isReactive(state)).toBe(false)
+
+    state.a = 2
+    expect(state.a).toBe(1)
+    expect('Set operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+
+    state.nested.b = 2
+    expect(state.nested.b).toBe(1)
+    expect('Set operation on key "nested.b" failed: target is readonly.').toHaveBeenWarned()
+
+    state.list[0].c = 2
+    expect(state.list[0].c).toBe(1)
+    expect('Set operation on key "list[0].c" failed: target is readonly.').toHaveBeenWarned()
+
+    state.list.push(1)
+    expect(state.list.length).toBe(1)
+    expect('push() on "list" failed: target is readonly.').toHaveBeenWarned()
+
+    Vue.set(state.nested, 'd', 1)
+    expect('d' in state.nested).toBe(false)
+    expect('Set operation on key "nested.d" failed: target is readonly.').toHaveBeenWarned()
+
+    Vue.delete(state, 'a')
+    expect(state.a).toBe(1)
+    expect('delete() on "a" failed: target is readonly.').toHaveBeenWarned()
+  })
+
+  it('readonly Map and Set', () => {
+    const map = Vue.readonly(new Map([['a', 1]]))
+    map.set('a', 2)
+    map.delete('a')
+    map.clear()
+    expect(map.get('a')).toBe(1)
+    expect('set() on "<root>" failed: target is readonly.').toHaveBeenWarned()
+    expect('delete() on "<root>" failed: target is readonly.').toHaveBeenWarned()
+    expect('clear() on "<root>" failed: target is readonly.').toHaveBeenWarned()
+
+    const state = Vue.readonly({ tags: new Set([1]) })
+    state.tags.add(2)
+    expect(state.tags.size).toBe(1)
+    expect('add() on "tags" failed: target is readonly.').toHaveBeenWarned()
+  })
+
+  it('readonly should be kept when assigned to component data', done => {
+    const payload = Vue.readonly({ items: [{ name: 'a' }] })
+    const vm = new Vue({
+      data: { payload: null },
+      render (h) {
+        return h('div', this.payload ? this.payload.items[0].name : '')
+      }
+    }).$mount()
+    vm.payload = payload
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('a')
+      vm.payload.items[0].name = 'b'
+      expect('Set operation on key "items[0].name" failed: target is readonly.').toHaveBeenWarned()
+      vm.payload = Vue.readonly({ items: [{ name: 'c' }] })
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('c')
+    }).then(done)
+  })
+
+  it('should warn converting an observed object to another mode', () => {
+    const state = Vue.reactive({ a: 1 })
+    expect(Vue.readonly(state)).toBe(state)
+    expect('Target is already observed and cannot be converted by readonly().').toHaveBeenWarned()
+    expect(Vue.isReadonly(state)).toBe(false)
+  })
+
+  it('markRaw', () => {
+    const raw = Vue.markRaw({ nested: {} })
+    const state = Vue.reactive({ raw })
+    expect(Vue.isReactive(state)).toBe(true)
+    expect(Vue.isReactive(state.raw)).toBe(false)
+    expect(Vue.isReactive(state.raw.nested)).toBe(false)
+    expect(Object.keys(raw)).toEqual(['nested'])
+
+    const vm = new Vue({ data: { raw } })
+    expect(Vue.isReactive(vm.raw)).toBe(false)
+
+    Vue.reactive(raw)
+    expect('Target is marked raw and cannot be converted by reactive().').toHaveBeenWarned()
+  })
+
+  it('ref', () => {
+    const r = Vue.ref(1)
+    expect(Vue.isRef(r)).toBe(true)
+    expect(r.value).toBe(1)
+    expect(Vue.ref(r)).toBe(r)
+    expect(Vue.unref(r)).toBe(1)
+    expect(Vue.unref(2)).toBe(2)
+    expect(Object.keys(r)).toEqual(['value'])
+
+    const objRef = Vue.ref({ a: 1 })
+    expect(Vue.isReactive(objRef.value)).toBe(true)
+  })
+
+  it('computed', () => {
+    const state = Vue.reactive({ a: 1 })
+    const getter = jasmine.createSpy('getter').and.callFake(() => state.a * 2)
+    const double = Vue.computed(getter)
+    expect(getter).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(getter.calls.count()).toBe(1)
+    state.a = 2
+    expect(double.value).toBe(4)
+    expect(getter.calls.count()).toBe(2)
+  })
+
+  it('computed with setter', () => {
+    const count = Vue.ref(1)
+    const plusOne = Vue.computed({
+      get: () => count.value + 1,
+      set: val => { count.value = val - 1 }
+    })
+    expect(plusOne.value).toBe(2)
+    plusOne.value = 10
+    expect(count.value).toBe(9)
+    expect(plusOne.value).toBe(10)
+  })
+
+  it('computed without setter should warn on write', () => {
+    const c = Vue.computed(() => 1)
+    c.value = 2
+    expect('Write operation failed: computed value is readonly.').toHaveBeenWarned()
+    expect(c.value).toBe(1)
+  })
+
+  it('computed can be stopped', () => {
+    const count = Vue.ref(1)
+    const c = Vue.computed(() => count.value)
+    expect(c.value).toBe(1)
+    c.effect.teardown()
+    count.value = 2
+    expect(c.value).toBe(1)
+  })
+
+  it('watchEffect', done => {
+    const state = Vue.reactive({ count: 0 })
+    const double = Vue.computed(() => state.count * 2)
+    const spy = jasmine.createSpy('effect')
+    const stop = Vue.watchEffect(() => {
+      spy(double.value)
+    })
+    expect(spy).toHaveBeenCalledWith(0)
+    state.count++
+    expect(spy.calls.count()).toBe(1)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2)
+      expect(spy.calls.count()).toBe(2)
+      stop()
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('watchEffect sync', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(count.value)
+    }, { sync: true })
+    count.value++
+    expect(spy).toHaveBeenCalledWith(1)
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('watchEffect onCleanup', done => {
+    const count = Vue.ref(0)
+    const cleanup = jasmine.createSpy('cleanup')
+    const stop = Vue.watchEffect(onCleanup => {
+      onCleanup(cleanup)
+      return count.value
+    })
+    expect(cleanup).not.toHaveBeenCalled()
+    count.value++
+    waitForUpdate(() => {
+      expect(cleanup.calls.count()).toBe(1)
+      stop()
+      expect(cleanup.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('watchEffect error handling', done => {
+    const count = Vue.ref(0)
+    const err = new Error('effect')
+    const handler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    Vue.watchEffect(() => {
+      if (count.value > 0) throw err
+    })
+    count.value++
+    waitForUpdate(() => {
+      expect(handler).toHaveBeenCalledWith(err, null, 'getter for watcher "watchEffect"')
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+
+  it('should trigger component re-render', done => {
+    const count = Vue.ref(0)
+    const vm = new Vue({
+      render (h) {
+        return h('div', count.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    count.value++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+})
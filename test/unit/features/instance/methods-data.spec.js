@@ -124,5 +124,82 @@ describe('Instance methods data', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
     })
+
+    describe('multiple sources', () => {
+      it('basic usage', done => {
+        vm.$watch(['a.b', function () { return this.유니코드.なまえ }], spy)
+        vm.a.b = 2
+        vm.유니코드.なまえ = 'changed'
+        waitForUpdate(() => {
+          expect(spy.calls.count()).toBe(1)
+          expect(spy).toHaveBeenCalledWith([2, 'changed'], [1, 'ok'], jasmine.any(Function))
+          vm.a.b = 3
+        }).then(() => {
+          expect(spy.calls.count()).toBe(2)
+          expect(spy).toHaveBeenCalledWith([3, 'changed'], [2, 'changed'], jasmine.any(Function))
+        }).then(done)
+      })
+
+      it('should not call the handler when no source changed', done => {
+        vm.$watch(['a.b', '유니코드.なまえ'], spy)
+        vm.a.b = 2
+        vm.a.b = 1
+        waitForUpdate(() => {
+          expect(spy).not.toHaveBeenCalled()
+        }).then(done)
+      })
+
+      it('object sources', done => {
+        vm.$watch(['a'], spy)
+        vm.a.b = 2
+        waitForUpdate(() => {
+          // objects are not deeply watched, but replacing them is detected
+          expect(spy).not.toHaveBeenCalled()
+          vm.$watch(['a'], spy, { deep: true })
+          vm.a.b = 3
+        }).then(() => {
+          expect(spy.calls.count()).toBe(1)
+          vm.a = { b: 4 }
+        }).then(() => {
+          expect(spy.calls.count()).toBe(3)
+        }).then(done)
+      })
+
+      it('immediate', () => {
+        vm.$watch(['a.b', '유니코드.なまえ'], spy, { immediate: true })
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith([1, 'ok'], [undefined, undefined], jasmine.any(Function))
+      })
+
+      it('onCleanup', done => {
+        const cleanup = jasmine.createSpy('cleanup')
+        const unwatch = vm.$watch(['a.b'], (vals, oldVals, onCleanup) => {
+          onCleanup(cleanup)
+        })
+        vm.a.b = 2
+        waitForUpdate(() => {
+          expect(cleanup).not.toHaveBeenCalled()
+          vm.a.b = 3
+        }).then(() => {
+          expect(cleanup.calls.count()).toBe(1)
+          unwatch()
+          expect(cleanup.calls.count()).toBe(2)
+        }).then(done)
+      })
+
+      it('should run cleanup when the instance is destroyed', () => {
+        const cleanup = jasmine.createSpy('cleanup')
+        vm.$watch(['a.b'], (vals, oldVals, onCleanup) => {
+          onCleanup(cleanup)
+        }, { immediate: true })
+        vm.$destroy()
+        expect(cleanup.calls.count()).toBe(1)
+      })
+
+      it('warn expression', () => {
+        vm.$watch(['a.b', 'a + b'], spy)
+        expect('Failed watching path: "a + b"').toHaveBeenWarned()
+      })
+    })
   })
 })
@@ -0,0 +1,163 @@
+import Vue from 'vue'
+
+function expectEvent (e, expected) {
+  Object.keys(expected).forEach(key => {
+    expect(e[key]).toBe(expected[key])
+  })
+}
+
+describe('Options renderTracked / renderTriggered', () => {
+  it('renderTracked', () => {
+    const events = []
+    const vm = new Vue({
+      data: {
+        foo: 1,
+        bar: { baz: 2 },
+        list: [1, 2]
+      },
+      render (h) {
+        return h('div', [this.foo, this.bar.baz, this.list.length])
+      },
+      renderTracked (e) {
+        events.push(e)
+      }
+    }).$mount()
+    expect(events.map(e => e.key)).toEqual(['foo', 'bar', 'baz', 'list'])
+    events.forEach(e => {
+      expect(e.type).toBe('get')
+      expect(e.effect).toBe(vm._watcher)
+    })
+    expect(events[0].target).toBe(vm._data)
+    expect(events[2].target).toBe(vm.bar)
+  })
+
+  it('renderTriggered', done => {
+    const events = []
+    const vm = new Vue({
+      data: {
+        foo: 1,
+        obj: {},
+        list: [1, 2]
+      },
+      render (h) {
+        return h('div', [this.foo, JSON.stringify(this.obj), this.list.join()])
+      },
+      renderTriggered (e) {
+        events.push(e)
+      }
+    }).$mount()
+
+    vm.foo++
+    expect(events.length).toBe(1)
+    expectEvent(events[0], {
+      effect: vm._watcher,
+      target: vm._data,
+      type: 'set',
+      key: 'foo',
+      newValue: 2,
+      oldValue: 1
+    })
+
+    Vue.set(vm.obj, 'a', 1)
+    expectEvent(events[1], {
+      target: vm.obj,
+      type: 'add',
+      key: 'a',
+      newValue: 1
+    })
+
+    Vue.delete(vm.obj, 'a')
+    expectEvent(events[2], {
+      target: vm.obj,
+      type: 'delete',
+      key: 'a'
+    })
+
+    vm.list.push(3)
+    expectEvent(events[3], {
+      target: vm.list,
+      type: 'array mutation',
+      key: 'push'
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2{}1,2,3')
+    }).then(done)
+  })
+
+  it('should report Map and Set operations', () => {
+    const tracked = []
+    const triggered = []
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', 1]]),
+        set: new Set()
+      },
+      render (h) {
+        return h('div', [this.map.get('a'), this.set.size])
+      },
+      renderTracked (e) {
+        tracked.push(e)
+      },
+      renderTriggered (e) {
+        triggered.push(e)
+      }
+    }).$mount()
+    expect(tracked.map(e => [e.type, e.key])).toEqual([
+      ['get', 'map'],
+      ['get', 'a'],
+      ['get', 'set'],
+      ['iterate', 'size']
+    ])
+
+    vm.map.set('a', 2)
+    vm.map.set('b', 3)
+    vm.set.add(1)
+    vm.map.delete('b')
+    vm.set.clear()
+    expect(triggered.map(e => [e.type, e.key])).toEqual([
+      ['set', 'a'],
+      ['add', 'b'],
+      ['add', 1],
+      ['delete', 'b'],
+      ['clear', undefined]
+    ])
+    expect(triggered[0].oldValue).toBe(1)
+    expect(triggered[0].newValue).toBe(2)
+  })
+
+  it('should not track dependencies inside the hooks', done => {
+    const spy = jasmine.createSpy('render')
+    const vm = new Vue({
+      data: {
+        foo: 1,
+        bar: 1
+      },
+      render (h) {
+        spy()
+        return h('div', this.foo)
+      },
+      renderTracked () {
+        this.bar
+      }
+    }).$mount()
+    vm.bar++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should merge hooks from mixins', () => {
+    const spy1 = jasmine.createSpy('mixin')
+    const spy2 = jasmine.createSpy('component')
+    new Vue({
+      mixins: [{ renderTracked: spy1 }],
+      data: { foo: 1 },
+      render (h) {
+        return h('div', this.foo)
+      },
+      renderTracked: spy2
+    }).$mount()
+    expect(spy1.calls.count()).toBe(1)
+    expect(spy2.calls.count()).toBe(1)
+  })
+})
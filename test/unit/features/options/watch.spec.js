@@ -162,6 +162,132 @@ describe('Options watch', () => {
     }).then(done)
   })
 
+  it('with option: onTrack / onTrigger', done => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: {
+        a: { b: 1 }
+      },
+      watch: {
+        'a.b': {
+          handler: spy,
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(onTrack.calls.count()).toBe(2)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data, type: 'get', key: 'a'
+    }))
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.a, type: 'get', key: 'b'
+    }))
+    expect(onTrigger).not.toHaveBeenCalled()
+    vm.a.b = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.a, type: 'set', key: 'b', newValue: 2, oldValue: 1
+    }))
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1)
+    }).then(done)
+  })
+
+  it('$watch with option: onTrigger', () => {
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: 1 }
+    })
+    vm.$watch('a', spy, { onTrigger })
+    vm.a = 2
+    expect(onTrigger.calls.argsFor(0)[0].key).toBe('a')
+  })
+
+  it('with option: flush post', done => {
+    const vm = new Vue({
+      data: { a: 1 },
+      template: `<div>{{ a }}<child :a="a"></child></div>`,
+      components: {
+        child: {
+          props: ['a'],
+          template: `<span>{{ a }}</span>`
+        }
+      },
+      watch: {
+        a: {
+          handler () {
+            spy(this.$el.textContent)
+          },
+          flush: 'post'
+        }
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('22')
+    }).then(done)
+  })
+
+  it('with option: flush pre', done => {
+    const vm = new Vue({
+      data: { a: 1 },
+      template: `<div>{{ a }}</div>`,
+      watch: {
+        a: {
+          handler () {
+            spy(this.$el.textContent)
+          },
+          flush: 'pre'
+        }
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('1')
+    }).then(done)
+  })
+
+  it('$watch with option: flush sync', () => {
+    const vm = new Vue({
+      data: { a: 1 }
+    })
+    vm.$watch('a', spy, { flush: 'sync' })
+    vm.a = 2
+    expect(spy).toHaveBeenCalledWith(2, 1)
+    vm.a = 3
+    expect(spy).toHaveBeenCalledWith(3, 2)
+  })
+
+  it('should warn invalid flush option', () => {
+    const vm = new Vue({
+      data: { a: 1 }
+    })
+    vm.$watch('a', spy, { flush: 'later' })
+    expect('Invalid watch option "flush": expected "pre", "post" or "sync", got "later".').toHaveBeenWarned()
+  })
+
+  it('with option: sources', done => {
+    const vm = new Vue({
+      data: { a: 1, b: { c: 1 } },
+      watch: {
+        aAndC: {
+          sources: ['a', 'b.c'],
+          handler: 'onChange'
+        }
+      },
+      methods: {
+        onChange: spy
+      }
+    })
+    vm.a = 2
+    vm.b.c = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith([2, 2], [1, 1], jasmine.any(Function))
+    }).then(done)
+  })
+
   it('should not warn proper usage', () => {
     const vm = new Vue({
       data: {
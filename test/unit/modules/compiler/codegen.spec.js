@@ -701,5 +701,24 @@ describe('codegen', () => {
       `with(this){return _c('div',[(ok)?_l((1),function(i){return _c('foo',{key:i})}):_e()],2)}`
     )
   })
+
+  it('generate patch flags', () => {
+    const options = extend({ patchFlags: true }, baseOptions)
+    assertCodegen(
+      '<div class="a" :class="b"><p :title="t" id="c">{{ msg }}</p><my-comp :title="t"></my-comp></div>',
+      `with(this){return _c('div',{staticClass:"a",class:b,patchFlag:2,patchKey:1708833925},[_c('p',{attrs:{"title":t,"id":"c"},patchFlag:9,dynamicProps:["title"],patchKey:1942098872},[_v(_s(msg))]),_c('my-comp',{attrs:{"title":t}})],1)}`,
+      options
+    )
+    assertCodegen(
+      '<ul :style="s"><li v-for="i in list" :key="i">{{ i }}</li></ul>',
+      `with(this){return _c('ul',{style:(s),patchFlag:36,patchKey:2622167373},_l((list),function(i){return _c('li',{key:i,patchFlag:1,patchKey:3525754358},[_v(_s(i))])}),0)}`,
+      options
+    )
+    assertCodegen(
+      '<ul v-bind="attrs"><li v-for="i in list" :[name]="i"></li></ul>',
+      `with(this){return _c('ul',_b({},'ul',attrs,false),_l((list),function(i){return _c('li',_b({patchFlag:22,patchKey:177630},"li",_d({},[name,i])))}),0)}`,
+      options
+    )
+  })
 })
 /* eslint-enable quotes */
@@ -0,0 +1,117 @@
+import Vue from 'vue'
+import { compile } from 'web/compiler'
+
+function mount (template, options, compilerOptions) {
+  const { render, staticRenderFns } = Vue.compile(template, compilerOptions)
+  return new Vue(Object.assign({ render, staticRenderFns }, options)).$mount()
+}
+
+describe('hoistStatic and cacheHandlers', () => {
+  it('should hoist constant data objects', () => {
+    const { render, staticRenderFns } = compile(
+      `<div id="app" style="color:red" :class="cls">` +
+        `<p title="a" :style="s" style="color:red"></p>` +
+        `<input :value="v" id="input">` +
+        `<my-comp id="comp"></my-comp>` +
+        `<span v-bind="attrs" id="b"></span>` +
+      `</div>`,
+      { hoistStatic: true }
+    )
+    expect(staticRenderFns).toEqual([
+      `return {"color":"red"}`,
+      `return {"id":"app"}`,
+      `return {"title":"a"}`,
+      `return {"id":"input"}`
+    ])
+    expect(render).toBe(
+      `with(this){return _c('div',{class:cls,staticStyle:_a(0),attrs:_a(1)},[` +
+        `_c('p',{staticStyle:{"color":"red"},style:(s),attrs:_a(2)}),` +
+        `_c('input',{attrs:_a(3),domProps:{"value":v}}),` +
+        `_c('my-comp',{attrs:{"id":"comp"}}),` +
+        `_c('span',_b({attrs:{"id":"b"}},'span',attrs,false))` +
+      `],1)}`
+    )
+  })
+
+  it('should share hoisted objects between renders and instances', done => {
+    const template = `<div><p id="a">{{ msg }}</p></div>`
+    const { render, staticRenderFns } = Vue.compile(template, { hoistStatic: true })
+    const vm1 = new Vue({ data: { msg: 1 }, render, staticRenderFns }).$mount()
+    const vm2 = new Vue({ data: { msg: 2 }, render, staticRenderFns }).$mount()
+    const attrs = vm1._vnode.children[0].data.attrs
+    expect(vm2._vnode.children[0].data.attrs).toBe(attrs)
+    expect(vm1.$el.innerHTML).toBe('<p id="a">1</p>')
+    expect(vm2.$el.innerHTML).toBe('<p id="a">2</p>')
+    vm1.msg = 3
+    waitForUpdate(() => {
+      expect(vm1._vnode.children[0].data.attrs).toBe(attrs)
+      expect(vm1.$el.innerHTML).toBe('<p id="a">3</p>')
+    }).then(done)
+  })
+
+  it('should cache inline handlers', () => {
+    const { render } = compile(
+      `<div @click="count++" @keyup.enter="submit" @focus="onFocus">` +
+        `<child :cb="() => count++" @custom="a = $event"></child>` +
+        `<p v-for="i in list" @click="select(i)"></p>` +
+      `</div>`,
+      { cacheHandlers: true }
+    )
+    expect(render).toBe(
+      `with(this){return _c('div',{on:{` +
+        `"click":_cache[0]||(_cache[0]=function($event){count++}),` +
+        `"keyup":_cache[1]||(_cache[1]=function($event){if(!$event.type.indexOf('key')&&_k($event.keyCode,"enter",13,$event.key,"Enter"))return null;return submit.apply(null, arguments)}),` +
+        `"focus":onFocus}},[` +
+        `_c('child',{attrs:{"cb":_cache[2]||(_cache[2]=() => count++)},on:{"custom":_cache[3]||(_cache[3]=function($event){a = $event})}}),` +
+        `_l((list),function(i){return _c('p',{on:{"click":function($event){return select(i)}}})})` +
+      `],2)}`
+    )
+  })
+
+  it('should pass the same handlers on each render', done => {
+    const childRender = jasmine.createSpy('child render').and.callFake(h => h('span'))
+    const vm = mount(
+      `<div><button @click="count++">{{ count }}</button><child :cb="() => count++"></child></div>`,
+      {
+        data: { count: 0 },
+        components: {
+          child: {
+            props: ['cb'],
+            render: childRender
+          }
+        }
+      },
+      { cacheHandlers: true }
+    )
+    const button = vm.$el.querySelector('button')
+    const handler = vm._vnode.children[0].data.on.click.fns
+    button.click()
+    waitForUpdate(() => {
+      expect(button.textContent).toBe('1')
+      expect(vm._vnode.children[0].data.on.click.fns).toBe(handler)
+      // the child did not receive a new callback
+      expect(childRender.calls.count()).toBe(1)
+      vm.$children[0].cb()
+    }).then(() => {
+      expect(button.textContent).toBe('2')
+    }).then(done)
+  })
+
+  it('should drop cached handlers when the render function changes', done => {
+    const vm = mount(
+      `<button @click="count++">{{ count }}</button>`,
+      { data: { count: 0 } },
+      { cacheHandlers: true }
+    )
+    vm.$options.render = Vue.compile(
+      `<button @click="count += 10">{{ count }}</button>`,
+      { cacheHandlers: true }
+    ).render
+    vm.$forceUpdate()
+    waitForUpdate(() => {
+      vm.$el.click()
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('10')
+    }).then(done)
+  })
+})
@@ -87,9 +87,21 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('create a fragment for multiple root elements', () => {
+    const ast = parse('<div></div> <p></p>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].tag).toBe('div')
+    expect(ast.children[0].parent).toBe(ast)
+    expect(ast.children[1].tag).toBe('p')
+  })
+
+  it('not create a fragment for a single root element', () => {
+    const ast = parse('<div></div>', baseOptions)
+    expect(ast.tag).toBe('div')
+    expect(ast.fragment).toBeUndefined()
+    expect(ast.parent).toBeUndefined()
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -190,51 +202,46 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('create a fragment for 2 root elements with v-if', () => {
+    const ast = parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].if).toBe('1')
+    expect(ast.children[1].if).toBe('2')
   })
 
-  it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
+  it('create a fragment for root elements after v-if and v-else', () => {
+    const ast = parse('<div v-if="1"></div><div v-else></div><p></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].ifConditions.length).toBe(2)
+    expect(ast.children[1].tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if and v-else-if with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else-if="2" v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
+  it('create a fragment for root elements around v-if and v-else-if', () => {
+    const ast = parse('<p></p><div v-if="1"></div><div v-else-if="2"></div><div v-else></div><p></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(3)
+    expect(ast.children[1].ifConditions.length).toBe(3)
+    expect(ast.children[1].ifConditions[2].block.tag).toBe('div')
   })
 
-  it('warn <template> as root element', () => {
-    parse('<template></template>', baseOptions)
-    expect('Cannot use <template> as component root element').toHaveBeenWarned()
+  it('warn root v-else without v-if', () => {
+    parse('<p></p><div v-else></div>', baseOptions)
+    expect('v-else used on element <div> without corresponding v-if').toHaveBeenWarned()
   })
 
-  it('warn <slot> as root element', () => {
-    parse('<slot></slot>', baseOptions)
-    expect('Cannot use <slot> as component root element').toHaveBeenWarned()
+  it('allow v-for on root elements', () => {
+    const ast = parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
+    expect(ast.ifConditions[1].block.for).toBe('[1]')
+    parse('<div v-for="item in items"></div>', baseOptions)
+    expect('Cannot use v-for on stateful component root element').not.toHaveBeenWarned()
   })
 
-  it('warn v-for on root element', () => {
-    parse('<div v-for="item in items"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+  it('allow <template> and <slot> as root element', () => {
+    expect(parse('<template></template>', baseOptions).tag).toBe('template')
+    expect(parse('<slot></slot>', baseOptions).tag).toBe('slot')
+    expect('as component root element').not.toHaveBeenWarned()
   })
 
   it('warn <template> key', () => {
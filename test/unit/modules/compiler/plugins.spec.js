@@ -0,0 +1,176 @@
+import Vue from 'vue'
+import { compile, compileToFunctions } from 'web/compiler'
+
+describe('compiler plugins', () => {
+  it('should run plugins in order', () => {
+    const calls = []
+    const plugin = (name, enforce) => ({
+      name,
+      enforce,
+      visitor: {
+        element: {
+          enter (el) { calls.push(`${name} enter ${el.tag}`) },
+          exit (el) { calls.push(`${name} exit ${el.tag}`) }
+        }
+      }
+    })
+    compile('<div><p></p></div>', {
+      plugins: [plugin('b'), plugin('c', 'post'), plugin('a', 'pre'), plugin('d')]
+    })
+    expect(calls).toEqual([
+      'a enter div', 'a enter p', 'a exit p', 'a exit div',
+      'b enter div', 'b enter p', 'b exit p', 'b exit div',
+      'd enter div', 'd enter p', 'd exit p', 'd exit div',
+      'c enter div', 'c enter p', 'c exit p', 'c exit div'
+    ])
+  })
+
+  it('should run before the optimizer', () => {
+    const { ast } = compile('<div><p>{{ msg }}</p></div>', {
+      plugins: [{
+        name: 'static-text',
+        visitor: {
+          text (node, context) {
+            context.replace({ type: 3, text: 'static' })
+          }
+        }
+      }]
+    })
+    expect(ast.static).toBe(true)
+  })
+
+  it('should remove, replace and insert nodes', () => {
+    const { render } = compile(
+      '<div><p data-test></p><span>a</span><i>b</i></div>',
+      {
+        plugins: [{
+          name: 'rewrite',
+          visitor: {
+            element (el, context) {
+              if (el.attrsMap['data-test'] !== undefined) {
+                context.remove()
+              } else if (el.tag === 'span') {
+                context.insertBefore(context.parse('<b>before</b>'))
+                context.insertAfter({ type: 3, text: 'after' })
+              } else if (el.tag === 'i') {
+                context.replace(context.parse('<em>{{ b }}</em>'))
+              }
+            }
+          }
+        }]
+      }
+    )
+    expect(render).toBe(
+      `with(this){return _c('div',[_c('b',[_v("before")]),_c('span',[_v("a")]),_v("after"),_c('em',[_v(_s(b))])])}`
+    )
+  })
+
+  it('should visit v-else branches and scoped slots', () => {
+    const tags = []
+    const { render } = compile(
+      '<div><p v-if="a"></p><span v-else-if="b"></span><i v-else></i>' +
+      '<foo><template v-slot:bar="props"><b></b></template></foo></div>',
+      {
+        plugins: [{
+          name: 'collect',
+          visitor: {
+            element (el, context) {
+              tags.push(el.tag)
+              if (el.tag === 'span') {
+                context.remove()
+              } else if (el.tag === 'i') {
+                context.replace(context.parse('<em></em>'))
+              } else if (el.tag === 'p') {
+                context.replace(context.parse('<section></section>'))
+              }
+            }
+          }
+        }]
+      }
+    )
+    expect(tags).toEqual(['div', 'p', 'span', 'i', 'foo', 'template', 'b'])
+    expect(render).toContain(`(a)?_c('section'):_c('em')`)
+  })
+
+  it('should add and remove directives', done => {
+    const { render, staticRenderFns } = compileToFunctions(
+      '<div><p v-visible="ok" v-debug>hi</p></div>',
+      {
+        plugins: [{
+          name: 'directives',
+          visitor: {
+            element (el, context) {
+              const dir = context.getDirective('visible')
+              if (dir) {
+                context.removeDirective('visible')
+                context.addDirective({ name: 'show', value: dir.value })
+              }
+              context.removeDirective('debug')
+            }
+          }
+        }]
+      }
+    )
+    const vm = new Vue({ data: { ok: false }, render, staticRenderFns }).$mount()
+    expect(vm.$el.firstChild.style.display).toBe('none')
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild.style.display).toBe('')
+    }).then(done)
+  })
+
+  it('should report warnings with source ranges', () => {
+    const template = '<div><p v-legacy></p></div>'
+    const plugin = {
+      name: 'legacy',
+      visitor: {
+        element (el, context) {
+          if (context.getDirective('legacy')) {
+            context.warn('v-legacy is deprecated.')
+            context.tip('use v-modern instead.')
+          }
+        }
+      }
+    }
+    const { errors, tips } = compile(template, {
+      outputSourceRange: true,
+      plugins: [plugin]
+    })
+    expect(errors).toEqual([{ msg: '[legacy] v-legacy is deprecated.', start: 5, end: 21 }])
+    expect(tips).toEqual([{ msg: '[legacy] use v-modern instead.', start: 5, end: 21 }])
+
+    const res = compile(template, { plugins: [plugin] })
+    expect(res.errors).toEqual(['[legacy] v-legacy is deprecated.'])
+  })
+
+  it('should replace the root element', () => {
+    const { render } = compile('<div></div>', {
+      plugins: [{
+        name: 'root',
+        visitor: {
+          element (el, context) {
+            if (!context.parent) {
+              context.replace(context.parse('<main></main>'))
+            }
+          }
+        }
+      }]
+    })
+    expect(render).toBe(`with(this){return _c('main')}`)
+  })
+
+  it('should warn when the root is removed', () => {
+    const { errors, render } = compile('<div></div>', {
+      plugins: [{
+        name: 'remove-root',
+        visitor: {
+          element (el, context) {
+            context.remove()
+          }
+        }
+      }]
+    })
+    expect(errors).toEqual(['[remove-root] The root of the template must remain a single element.'])
+    expect(render).toBe(`with(this){return _c('div')}`)
+  })
+})
@@ -0,0 +1,120 @@
+import Vue from 'vue'
+import { compile, compileToFunctions } from 'web/compiler'
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// decode mappings into [genLine, genColumn, line, column] segments
+function decodeMappings (mappings) {
+  const res = []
+  let line = 0
+  let column = 0
+  mappings.split(';').forEach((group, genLine) => {
+    let genColumn = 0
+    group.split(',').filter(Boolean).forEach(segment => {
+      const values = []
+      let value = 0
+      let shift = 0
+      for (let i = 0; i < segment.length; i++) {
+        const digit = BASE64_CHARS.indexOf(segment[i])
+        value += (digit & 31) << shift
+        if (digit & 32) {
+          shift += 5
+        } else {
+          values.push(value & 1 ? -(value >> 1) : value >> 1)
+          value = shift = 0
+        }
+      }
+      genColumn += values[0]
+      line += values[2]
+      column += values[3]
+      res.push([genLine, genColumn, line, column])
+    })
+  })
+  return res
+}
+
+// find the template position mapped to the closest segment before the
+// first occurrence of `snippet` in the generated code
+function lookup (code, map, snippet) {
+  const index = code.indexOf(snippet)
+  const lines = code.slice(0, index).split('\n')
+  const genLine = lines.length - 1
+  const genColumn = lines[genLine].length
+  let found
+  decodeMappings(map.mappings).forEach(segment => {
+    if (segment[0] === genLine && segment[1] <= genColumn) {
+      found = segment
+    }
+  })
+  return found && { line: found[2], column: found[3] }
+}
+
+describe('source map', () => {
+  const template = [
+    '<div id="app">',
+    '  <p :class="cls">{{ msg }}</p>',
+    '  <button @click="onClick">ok</button>',
+    '  <span v-if="show">a</span>',
+    '</div>'
+  ].join('\n')
+
+  it('should not generate a map by default', () => {
+    const res = compile(template)
+    expect(res.map).toBeUndefined()
+    expect(res.render).not.toContain('\u0000')
+  })
+
+  it('should generate a source map', () => {
+    const { render, map, errors } = compile(template, {
+      sourceMap: true,
+      filename: 'App.vue'
+    })
+    expect(errors.length).toBe(0)
+    expect(render).not.toContain('\u0000')
+    expect(map.version).toBe(3)
+    expect(map.sources).toEqual(['App.vue'])
+    expect(map.sourcesContent).toEqual([template])
+    expect(lookup(render, map, `_c('div'`)).toEqual({ line: 0, column: 0 })
+    expect(lookup(render, map, `_c('p'`)).toEqual({ line: 1, column: 2 })
+    expect(lookup(render, map, `"id":"app"`)).toEqual({ line: 0, column: 5 })
+    expect(lookup(render, map, `_s(msg)`)).toEqual({ line: 1, column: 18 })
+    expect(lookup(render, map, `"click":onClick`)).toEqual({ line: 2, column: 10 })
+    expect(lookup(render, map, `(show)`)).toEqual({ line: 3, column: 8 })
+  })
+
+  it('should keep errors as strings', () => {
+    const { errors } = compile('<div v-if="a b"></div>', { sourceMap: true })
+    expect(typeof errors[0]).toBe('string')
+  })
+
+  it('should generate maps for static render fns', () => {
+    const { staticRenderFns, staticRenderMaps } = compile(
+      '<div>\n  <p><b>static</b></p>\n</div>',
+      { sourceMap: true }
+    )
+    expect(staticRenderMaps.length).toBe(staticRenderFns.length)
+    expect(lookup(staticRenderFns[0], staticRenderMaps[0], `_c('p'`)).toEqual({ line: 1, column: 2 })
+    expect(staticRenderMaps[0].sources).toEqual(['template.html'])
+  })
+
+  it('should inline the map and sourceURL in compiled functions', () => {
+    const { render } = compileToFunctions('<div>{{ a }}</div>', {
+      sourceMap: true,
+      filename: 'foo.html'
+    })
+    const code = render.toString()
+    expect(code).toContain('//# sourceMappingURL=data:application/json;charset=utf-8;base64,')
+    expect(code).toContain('//# sourceURL=foo.html.render.js')
+  })
+
+  it('should map templates compiled on mount in development', () => {
+    const vm = new Vue({
+      template: '<div>{{ mapped }}</div>',
+      data: { mapped: 'a' }
+    }).$mount()
+    const code = vm.$options.render.toString()
+    expect(vm.$el.textContent).toBe('a')
+    expect(code).toContain('//# sourceMappingURL=data:application/json;charset=utf-8;base64,')
+    expect(code).toMatch(/\/\/# sourceURL=vue-template-\d+\.html\.render\.js/)
+  })
+})
@@ -0,0 +1,134 @@
+import { compile } from 'web/compiler'
+import { getReferences } from 'compiler/validator'
+
+describe('template validation', () => {
+  it('should not validate by default', () => {
+    const { errors } = compile('<div>{{ foo }}</div>')
+    expect(errors).toEqual([])
+  })
+
+  it('should collect references of expressions', () => {
+    expect(getReferences('a.b + c[d] - e?.f')).toEqual(['a', 'c', 'd', 'e'])
+    expect(getReferences(`{ a: b, 'c': d, e } ? f : g`)).toEqual(['b', 'd', 'e', 'f', 'g'])
+    expect(getReferences('list.map((item, i) => item.id + i + offset)')).toEqual(['list', 'offset'])
+    expect(getReferences('x => x + y')).toEqual(['y'])
+    expect(getReferences('function (e) { handle(e, typeof foo) }')).toEqual(['handle', 'foo'])
+    expect(getReferences('`a ${b} c` + "d" + 1.5e3')).toEqual(['b'])
+    expect(getReferences('new Date(count++, ...rest)')).toEqual(['Date', 'count', 'rest'])
+  })
+
+  it('should report undeclared identifiers with code frames', () => {
+    const { errors } = compile(
+      `<div :title="titel">\n  <p>{{ msg }}</p>\n</div>`,
+      { validate: { data: ['title'], props: ['message'] } }
+    )
+    expect(errors).toEqual([
+      `"titel" is referenced in the template but is not declared as a prop, ` +
+      `data, computed property, method or injection. Did you mean "title"?\n\n` +
+      `1  |  <div :title="titel">\n` +
+      `   |       ^^^^^^^^^^^^^^\n` +
+      `2  |    <p>{{ msg }}</p>\n` +
+      `3  |  </div>`,
+      `"msg" is referenced in the template but is not declared as a prop, ` +
+      `data, computed property, method or injection.\n\n` +
+      `1  |  <div :title="titel">\n` +
+      `2  |    <p>{{ msg }}</p>\n` +
+      `   |       ^^^^^^^^^\n` +
+      `3  |  </div>`
+    ])
+  })
+
+  it('should return ranges with outputSourceRange', () => {
+    const { errors } = compile('<div @click="onClik">{{ count }}</div>', {
+      outputSourceRange: true,
+      validate: { methods: { onClick () {} }, computed: { count () {} } }
+    })
+    expect(errors).toEqual([{
+      msg: `"onClik" is referenced in the template but is not declared as a prop, ` +
+        `data, computed property, method or injection. Did you mean "onClick"?`,
+      start: 5,
+      end: 20
+    }])
+  })
+
+  it('should accept declared and scoped names', () => {
+    const { errors } = compile(
+      `<div :class="{ active: isActive }" @click="count++; $emit('click', $event)">` +
+        `<p v-for="({ id, name }, i) in items" :key="id">{{ name | capitalize }} {{ i }}</p>` +
+        `<p v-if="fooBar">{{ Math.max(foo, 1) }}</p>` +
+        `<p v-else-if="injected">{{ $t('a') }}</p>` +
+        `<p v-else :[attr]="fromMixin"></p>` +
+        `<comp><template #item="{ item }">{{ item.text }}</template></comp>` +
+        `<comp v-slot="props">{{ props.text }}</comp>` +
+        `<input v-model="form.name" @input="e => update(e.target.value)">` +
+        `<div v-pre>{{ notChecked }}</div>` +
+      `</div>`,
+      {
+        validate: {
+          props: ['fooBar'],
+          data: { isActive: true, count: 0, items: [], form: {}, attr: 'id' },
+          computed: ['foo'],
+          methods: ['update'],
+          inject: ['injected'],
+          globals: ['fromMixin']
+        }
+      }
+    )
+    expect(errors).toEqual([])
+  })
+
+  it('should report undeclared identifiers in branches and slots', () => {
+    const { errors } = compile(
+      `<div>` +
+        `<p v-if="a"></p><p v-else-if="b"></p>` +
+        `<comp><template #item="{ item }">{{ c }}</template></comp>` +
+      `</div>`,
+      { validate: { data: ['a'] } }
+    )
+    expect(errors.length).toBe(2)
+    expect(errors[0]).toContain(`"b" is referenced`)
+    expect(errors[1]).toContain(`"c" is referenced`)
+  })
+
+  it('should report misspelled props on child components', () => {
+    const { errors } = compile(
+      `<div>` +
+        `<my-input :modle-value="a" placehoder="b" id="c" class="d" data-foo="e" :max-length="3"></my-input>` +
+        `<other :modle-value="a"></other>` +
+      `</div>`,
+      {
+        validate: {
+          data: ['a'],
+          components: {
+            MyInput: { props: { modelValue: String, placeholder: String, maxLength: Number } }
+          }
+        }
+      }
+    )
+    expect(errors.length).toBe(2)
+    expect(errors[0]).toContain(`Unknown prop "modle-value" on <my-input>. Did you mean "model-value"?`)
+    expect(errors[1]).toContain(`Unknown prop "placehoder" on <my-input>. Did you mean "placeholder"?`)
+  })
+
+  it('should report undeclared events on child components', () => {
+    const { errors } = compile(
+      `<div>` +
+        `<my-button @click="a" @clik.once="a" @update-value="a" @focus.native="a" @hook:mounted="a"></my-button>` +
+        `<component is="my-button" @press="a"></component>` +
+        `<my-link @anything="a"></my-link>` +
+      `</div>`,
+      {
+        validate: {
+          methods: ['a'],
+          components: {
+            'my-button': { emits: ['click', 'updateValue'] },
+            MyLink: { props: ['to'] }
+          }
+        }
+      }
+    )
+    expect(errors.length).toBe(2)
+    expect(errors[0]).toContain(`Event "clik" is not declared in the emits of <my-button>. Did you mean "click"?`)
+    expect(errors[1]).toContain(`Event "press" is not declared in the emits of <component>.`)
+  })
+})
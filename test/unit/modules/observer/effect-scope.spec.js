@@ -0,0 +1,169 @@
+import Vue from 'vue'
+import Watcher from 'core/observer/watcher'
+import {
+  EffectScope,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from 'core/observer/effect-scope'
+
+describe('EffectScope', () => {
+  it('should run', () => {
+    const fnSpy = jasmine.createSpy('fn')
+    effectScope().run(fnSpy)
+    expect(fnSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should return run value', () => {
+    expect(effectScope().run(() => 1)).toBe(1)
+  })
+
+  it('should be active while running', () => {
+    const scope = effectScope()
+    expect(getCurrentScope()).toBeUndefined()
+    scope.run(() => {
+      expect(getCurrentScope()).toBe(scope)
+    })
+    expect(getCurrentScope()).toBeUndefined()
+  })
+
+  it('should collect watchers and computed', () => {
+    const scope = new EffectScope()
+    scope.run(() => {
+      Vue.watchEffect(() => {})
+      Vue.computed(() => 1)
+    })
+    expect(scope.effects.length).toBe(2)
+    expect(scope.effects[0] instanceof Watcher).toBe(true)
+  })
+
+  it('stop', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    let double
+    const scope = effectScope()
+    scope.run(() => {
+      double = Vue.computed(() => count.value * 2)
+      Vue.watchEffect(() => spy(double.value))
+    })
+    expect(spy).toHaveBeenCalledWith(0)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2)
+      scope.stop()
+      expect(scope.active).toBe(false)
+      scope.effects.forEach(effect => {
+        expect(effect.active).toBe(false)
+      })
+      count.value++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(double.value).toBe(2)
+    }).then(done)
+  })
+
+  it('should collect $watch watchers', done => {
+    const vm = new Vue({ data: { a: 1 } })
+    const spy = jasmine.createSpy('watcher')
+    const scope = effectScope()
+    scope.run(() => {
+      vm.$watch('a', spy)
+    })
+    scope.stop()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should collect nested scope', () => {
+    const scope = effectScope()
+    let nested
+    scope.run(() => {
+      Vue.watchEffect(() => {})
+      nested = effectScope()
+      nested.run(() => {
+        Vue.watchEffect(() => {})
+      })
+    })
+    expect(scope.effects.length).toBe(1)
+    expect(scope.scopes.length).toBe(1)
+    expect(scope.scopes[0]).toBe(nested)
+
+    scope.stop()
+    expect(nested.active).toBe(false)
+    expect(nested.effects[0].active).toBe(false)
+  })
+
+  it('nested scope can be stopped by itself', () => {
+    const scope = effectScope()
+    let a, b
+    scope.run(() => {
+      a = effectScope()
+      b = effectScope()
+    })
+    expect(scope.scopes).toEqual([a, b])
+    a.stop()
+    expect(scope.scopes).toEqual([b])
+    expect(b.index).toBe(0)
+    expect(scope.active).toBe(true)
+  })
+
+  it('detached scope should not be collected', () => {
+    const scope = effectScope()
+    let detached
+    scope.run(() => {
+      detached = effectScope(true)
+      detached.run(() => {
+        Vue.watchEffect(() => {})
+      })
+    })
+    expect(scope.scopes).toBeUndefined()
+    scope.stop()
+    expect(detached.active).toBe(true)
+    expect(detached.effects[0].active).toBe(true)
+    detached.stop()
+  })
+
+  it('onScopeDispose', () => {
+    const spy = jasmine.createSpy('dispose')
+    const scope = effectScope()
+    scope.run(() => {
+      onScopeDispose(spy)
+    })
+    expect(spy).not.toHaveBeenCalled()
+    scope.stop()
+    expect(spy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should warn onScopeDispose without active scope', () => {
+    onScopeDispose(() => {})
+    expect('onScopeDispose() is called when there is no active effect scope').toHaveBeenWarned()
+  })
+
+  it('should run watchEffect cleanup on stop', () => {
+    const cleanup = jasmine.createSpy('cleanup')
+    const scope = effectScope()
+    scope.run(() => {
+      Vue.watchEffect(onCleanup => onCleanup(cleanup))
+    })
+    scope.stop()
+    expect(cleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('should warn running an inactive scope', () => {
+    const scope = effectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+
+  it('should be exposed on Vue', () => {
+    const scope = Vue.effectScope()
+    expect(scope instanceof EffectScope).toBe(true)
+    scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+    })
+    expect(Vue.onScopeDispose).toBe(onScopeDispose)
+  })
+})
@@ -2,6 +2,7 @@ import Vue from 'vue'
 import {
   Observer,
   observe,
+  defineReactive,
   set as setProp,
   del as delProp
 } from 'core/observer/index'
@@ -344,6 +345,120 @@ describe('Observer', () => {
     })
   })
 
+  it('create on Map and Set', () => {
+    const map = new Map([['a', {}]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob1)
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+
+    const set = new Set([{}])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    expect(set.__ob__).toBe(ob2)
+    set.forEach(val => {
+      expect(val.__ob__ instanceof Observer).toBe(true)
+    })
+  })
+
+  it('observing Map mutation', () => {
+    const map = new Map()
+    const ob = observe(map)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('a', obj)
+    map.set('a', obj) // same value, no change
+    map.set('b', 1)
+    map.delete('b')
+    map.delete('c') // missing key, no change
+    map.clear()
+    map.clear() // already empty, no change
+    expect(dep.notify.calls.count()).toBe(4)
+    // added values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    // set/delete should go through the collection methods
+    setProp(map, 'd', 1)
+    expect(map.get('d')).toBe(1)
+    delProp(map, 'd')
+    expect(map.has('d')).toBe(false)
+    expect(dep.notify.calls.count()).toBe(6)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    set.add(obj) // already present, no change
+    set.delete(obj)
+    set.add(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('collecting dependencies on Map and Set reads', () => {
+    const map = new Map([['a', { b: 1 }]])
+    const set = new Set([1])
+    observe(map)
+    observe(set)
+    const reads = [
+      [map, () => map.get('a')],
+      [map, () => map.has('a')],
+      [map, () => map.size],
+      [map, () => map.forEach(() => {})],
+      [map, () => map.keys()],
+      [map, () => [...map]],
+      [set, () => set.has(1)],
+      [set, () => set.size],
+      [set, () => set.values()],
+      [set, () => [...set]]
+    ]
+    reads.forEach(([collection, read]) => {
+      const target = { addDep: jasmine.createSpy('addDep') }
+      Dep.target = target
+      read()
+      Dep.target = null
+      expect(target.addDep).toHaveBeenCalledWith(collection.__ob__.dep)
+    })
+    // reading a value also depends on the value's own observer
+    const target = { addDep: jasmine.createSpy('addDep') }
+    Dep.target = target
+    map.get('a')
+    Dep.target = null
+    expect(target.addDep).toHaveBeenCalledWith(map.get('a').__ob__.dep)
+  })
+
+  it('create shallow and readonly observers', () => {
+    const shallow = { a: {}, b: [{}] }
+    const ob1 = observe(shallow, false, true)
+    expect(ob1.shallow).toBe(true)
+    expect(shallow.a.__ob__).toBeUndefined()
+    expect(shallow.b.__ob__).toBeUndefined()
+
+    const frozen = { a: { b: 1 } }
+    const ob2 = observe(frozen, false, false, true)
+    expect(ob2.readonly).toBe(true)
+    expect(frozen.a.__ob__.readonly).toBe(true)
+    expect(frozen.a.__ob__.path).toBe('a')
+    frozen.a.b = 2
+    expect(frozen.a.b).toBe(1)
+    expect('Set operation on key "a.b" failed: target is readonly.').toHaveBeenWarned()
+  })
+
+  it('defineReactive readonly', () => {
+    const obj = {}
+    defineReactive(obj, 'foo', { bar: 1 }, null, false, true)
+    obj.foo = 2
+    obj.foo.bar = 2
+    expect(obj.foo.bar).toBe(1)
+    expect('Set operation on key "foo" failed: target is readonly.').toHaveBeenWarned()
+    expect('Set operation on key "foo.bar" failed: target is readonly.').toHaveBeenWarned()
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
@@ -0,0 +1,198 @@
+import Vue from 'vue'
+import { Observer, set, del } from 'core/observer/index'
+import { observeProxy, toRaw } from 'core/observer/proxy-observer'
+
+describe('Proxy observer', () => {
+  it('create on plain object', () => {
+    const raw = { a: 1, nested: { b: 2 }, list: [{ c: 3 }] }
+    const state = observeProxy(raw)
+    expect(state).not.toBe(raw)
+    expect(toRaw(state)).toBe(raw)
+    expect(state.__ob__ instanceof Observer).toBe(true)
+    expect(state.__ob__.proxy).toBe(state)
+    expect(observeProxy(raw)).toBe(state)
+    expect(observeProxy(state)).toBe(state)
+    // no getter/setter conversion
+    expect(Object.getOwnPropertyDescriptor(raw, 'a').get).toBeUndefined()
+    // nested values are proxied when read
+    expect(state.nested.__ob__.proxy).toBe(state.nested)
+    expect(state.list[0].__ob__.proxy).toBe(state.list[0])
+    expect(state.nested).toBe(state.nested)
+  })
+
+  it('should not proxy non-plain values', () => {
+    const map = new Map()
+    expect(observeProxy(map)).toBe(map)
+    expect(map.__ob__ instanceof Observer).toBe(true)
+    const date = new Date()
+    expect(observeProxy(date)).toBe(date)
+    expect(observeProxy(1)).toBe(1)
+    const raw = Vue.markRaw({})
+    expect(observeProxy(raw)).toBe(raw)
+  })
+
+  it('should store raw values', () => {
+    const child = observeProxy({ a: 1 })
+    const state = observeProxy({ child: null })
+    state.child = child
+    expect(toRaw(state).child).toBe(toRaw(child))
+    expect(state.child).toBe(child)
+  })
+
+  it('should track property addition and deletion', done => {
+    const state = observeProxy({ a: 1 })
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => spy('b' in state ? state.b : 'none', Object.keys(state).length))
+    expect(spy).toHaveBeenCalledWith('none', 1)
+    state.b = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, 2)
+      delete state.b
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('none', 1)
+      expect(spy.calls.count()).toBe(3)
+      // deleting a missing key should not trigger
+      delete state.c
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+    }).then(done)
+  })
+
+  it('should only trigger effects reading the changed key', done => {
+    const state = observeProxy({ a: 1, b: 1 })
+    const spyA = jasmine.createSpy('a')
+    const spyB = jasmine.createSpy('b')
+    Vue.watchEffect(() => spyA(state.a))
+    Vue.watchEffect(() => spyB(state.b))
+    state.a++
+    state.b = 1 // unchanged
+    waitForUpdate(() => {
+      expect(spyA.calls.count()).toBe(2)
+      expect(spyB.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should track array index and length writes', done => {
+    const list = observeProxy([1, 2, 3])
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => spy(list.join(',')))
+    list[0] = 0
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('0,2,3')
+      list[4] = 4
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('0,2,3,,4')
+      list.length = 1
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('0')
+      list.push(1, 2)
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('0,1,2')
+      list.splice(1, 1)
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('0,2')
+      expect(spy.calls.count()).toBe(6)
+    }).then(done)
+  })
+
+  it('should keep Vue.set and Vue.delete compatible', done => {
+    const state = observeProxy({ obj: {}, list: [1] })
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => spy(state.obj.a, state.list[1]))
+    set(state.obj, 'a', 1)
+    set(toRaw(state).list, 1, 2)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 2)
+      expect(spy.calls.count()).toBe(2)
+      del(state.obj, 'a')
+      del(state.list, 1)
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(undefined, undefined)
+      expect(spy.calls.count()).toBe(3)
+    }).then(done)
+  })
+
+  it('should work with deep watchers', done => {
+    const state = observeProxy({ nested: { list: [] } })
+    const spy = jasmine.createSpy('watcher')
+    const vm = new Vue()
+    vm.$watch(() => state, spy, { deep: true })
+    state.nested.list.push({ a: 1 })
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      state.nested.list[0].b = 2
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  describe('component data', () => {
+    afterEach(() => {
+      Vue.config.proxyObserver = false
+    })
+
+    it('config.proxyObserver', done => {
+      Vue.config.proxyObserver = true
+      const vm = new Vue({
+        data: { obj: { a: 1 }, list: ['a'] },
+        render (h) {
+          return h('div', `${JSON.stringify(this.obj)} ${this.list.join(',')}`)
+        }
+      }).$mount()
+      expect(vm.$data.__ob__.proxy).toBe(vm.$data)
+      expect(vm.$data.__ob__.vmCount).toBe(1)
+      expect(vm.$el.textContent).toBe('{"a":1} a')
+      vm.obj.b = 2
+      vm.list[1] = 'b'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('{"a":1,"b":2} a,b')
+        delete vm.obj.a
+        vm.list.length = 1
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('{"b":2} a')
+      }).then(done)
+    })
+
+    it('should keep root $data semantics', () => {
+      const vm = new Vue({
+        proxyObserver: true,
+        data: { a: 1 }
+      })
+      Vue.set(vm.$data, 'b', 1)
+      expect('Avoid adding reactive properties to a Vue instance or its root $data').toHaveBeenWarned()
+      Vue.delete(vm.$data, 'a')
+      expect('Avoid deleting properties on a Vue instance or its root $data').toHaveBeenWarned()
+      expect(vm.a).toBe(1)
+    })
+
+    it('per-instance option overrides the config', () => {
+      Vue.config.proxyObserver = true
+      const vm = new Vue({
+        proxyObserver: false,
+        data: { obj: { a: 1 } }
+      })
+      expect(vm.$data.__ob__.proxy).toBe(null)
+      expect(Object.getOwnPropertyDescriptor(vm.$data, 'obj').get).toBeDefined()
+
+      const vm2 = new Vue({
+        proxyObserver: true,
+        data: { obj: { a: 1 } }
+      })
+      expect(vm2.obj.__ob__.proxy).toBe(vm2.obj)
+    })
+
+    it('Vue.reactive and Vue.observable return the proxy', () => {
+      Vue.config.proxyObserver = true
+      const raw = {}
+      const state = Vue.reactive(raw)
+      expect(state).not.toBe(raw)
+      expect(Vue.isReactive(state)).toBe(true)
+      expect(Vue.reactive(raw)).toBe(state)
+      const observable = Vue.observable({})
+      expect(observable.__ob__.proxy).toBe(observable)
+      // other modes keep getter/setter conversion
+      const shallow = Vue.shallowReactive({ a: 1 })
+      expect(shallow.__ob__.proxy).toBe(null)
+    })
+  })
+})
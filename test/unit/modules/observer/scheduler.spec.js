@@ -1,7 +1,8 @@
 import Vue from 'vue'
 import {
   MAX_UPDATE_COUNT,
-  queueWatcher as _queueWatcher
+  queueWatcher as _queueWatcher,
+  queuePostFlushCb
 } from 'core/observer/scheduler'
 
 function queueWatcher (watcher) {
@@ -126,6 +127,45 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('should respect config.maxUpdateCount', done => {
+    Vue.config.maxUpdateCount = 10
+    let count = 0
+    const job = {
+      id: 1,
+      run () {
+        count++
+        queueWatcher(job)
+      }
+    }
+    queueWatcher(job)
+    waitForUpdate(() => {
+      expect(count).toBe(11)
+      expect('infinite update loop').toHaveBeenWarned()
+      Vue.config.maxUpdateCount = MAX_UPDATE_COUNT
+    }).then(done)
+  })
+
+  it('should warn with a trace of watchers queueing each other', done => {
+    const vm = new Vue({
+      data: { a: 0, b: 0, list: [] },
+      watch: {
+        a () { this.b++ },
+        b () { this.list.push(1) },
+        list () { this.a++ }
+      }
+    })
+    vm.a++
+    waitForUpdate(() => {
+      expect(
+        'You may have an infinite update loop in watcher with expression "a"\n\n' +
+        'Update cycle:\n' +
+        '  watcher "a" in <Root> was queued by watcher "list" in <Root>, changing key "a"\n' +
+        '  watcher "list" in <Root> was queued by watcher "b" in <Root>, changing an array with push()\n' +
+        '  watcher "b" in <Root> was queued by watcher "a" in <Root>, changing key "b"\n'
+      ).toHaveBeenWarned()
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
@@ -177,4 +217,78 @@ describe('Scheduler', () => {
       })
     })
   })
+
+  it('run post watchers after other watchers', done => {
+    const calls = []
+    queueWatcher({ id: 1, post: true, run () { calls.push(1) } })
+    queueWatcher({ id: 2, run () {
+      calls.push(2)
+      queueWatcher({ id: 4, run () { calls.push(4) } })
+    } })
+    queueWatcher({ id: 3, post: false, run () { calls.push(3) } })
+    waitForUpdate(() => {
+      expect(calls).toEqual([2, 3, 4, 1])
+    }).then(done)
+  })
+
+  describe('queuePostFlushCb', () => {
+    it('should run after components are patched and updated', done => {
+      const calls = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: `<div>{{ a }}</div>`,
+        updated () {
+          calls.push('updated')
+        }
+      }).$mount()
+      vm.a = 2
+      queuePostFlushCb(() => {
+        calls.push(vm.$el.textContent)
+      })
+      waitForUpdate(() => {
+        expect(calls).toEqual(['updated', '2'])
+      }).then(done)
+    })
+
+    it('should be exposed as Vue.queuePostFlushCb', () => {
+      expect(Vue.queuePostFlushCb).toBe(queuePostFlushCb)
+    })
+
+    it('should schedule a flush on its own', done => {
+      queuePostFlushCb(spy)
+      expect(spy).not.toHaveBeenCalled()
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('dedup', done => {
+      queuePostFlushCb(spy)
+      queuePostFlushCb(spy)
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('should run callbacks queued by callbacks in the same flush', done => {
+      queuePostFlushCb(() => {
+        queuePostFlushCb(spy)
+      })
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('should handle errors', done => {
+      const err = new Error('post')
+      Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      queuePostFlushCb(() => { throw err })
+      queuePostFlushCb(spy)
+      waitForUpdate(() => {
+        expect(Vue.config.errorHandler).toHaveBeenCalledWith(err, null, 'post-flush callback')
+        expect(spy).toHaveBeenCalled()
+        Vue.config.errorHandler = null
+      }).then(done)
+    })
+  })
 })
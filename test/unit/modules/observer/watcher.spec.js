@@ -130,6 +130,45 @@ describe('Watcher', () => {
     }).then(done)
   })
 
+  it('watch Map and Set', done => {
+    const map = new Map([['a', 1]])
+    const set = new Set()
+    const vm = new Vue({
+      data: { map, set }
+    })
+    const watcher = new Watcher(vm, function () {
+      return this.map.get('a') + this.set.size
+    }, spy)
+    expect(watcher.value).toBe(1)
+    vm.map.set('a', 2)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1)
+      vm.set.add('b')
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(3, 2)
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('deep watch nested values in Map and Set', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', { b: 1 }]]),
+        set: new Set([{ c: 1 }])
+      }
+    })
+    new Watcher(vm, '$data', spy, {
+      deep: true
+    })
+    vm.map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      vm.set.forEach(val => { val.c = 2 })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
   it('watch function', done => {
     const watcher = new Watcher(vm, function () {
       return this.a + this.b.d
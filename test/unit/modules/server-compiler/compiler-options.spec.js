@@ -10,4 +10,18 @@ describe('ssrCompile options', () => {
 
     expect(compiled.render).toContain('<!-- test comments -->')
   })
+
+  it('sourceMap', () => {
+    const template = '<div>\n  <p :id="id">{{ msg }}</p>\n  <comp :a="a"></comp>\n</div>'
+    const compiled = ssrCompile(template, {
+      outputSourceRange: true,
+      sourceMap: true,
+      filename: 'App.vue'
+    })
+    expect(compiled.render).not.toContain('\u0000')
+    expect(() => new Function(compiled.render)).not.toThrow()
+    expect(compiled.map.sources).toEqual(['App.vue'])
+    expect(compiled.map.sourcesContent).toEqual([template])
+    expect(compiled.map.mappings).not.toBe('')
+  })
 })
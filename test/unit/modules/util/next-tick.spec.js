@@ -1,4 +1,5 @@
-import { nextTick } from 'core/util/next-tick'
+import Vue from 'vue'
+import { nextTick, setNextTickTimer, flushNextTick } from 'core/util/next-tick'
 
 describe('nextTick', () => {
   it('accepts a callback', done => {
@@ -31,4 +32,92 @@ describe('nextTick', () => {
       })
     })
   }
+
+  describe('custom timer', () => {
+    afterEach(() => {
+      setNextTickTimer(null)
+    })
+
+    it('should be used to schedule the flush', done => {
+      let flush = null
+      setNextTickTimer(fn => { flush = fn })
+      const spy = jasmine.createSpy()
+      nextTick(spy)
+      nextTick(spy)
+      expect(typeof flush).toBe('function')
+      expect(spy).not.toHaveBeenCalled()
+      flush()
+      expect(spy.calls.count()).toBe(2)
+      // restore the default strategy
+      setNextTickTimer(null)
+      nextTick(done)
+    })
+
+    it('should support flushing synchronously', done => {
+      setNextTickTimer(flush => flush())
+      const spy = jasmine.createSpy()
+      nextTick(spy)
+      expect(spy).toHaveBeenCalled()
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>'
+      }).$mount()
+      vm.a = 2
+      expect(vm.$el.textContent).toBe('2')
+      nextTick().then(done)
+    })
+
+    it('should reschedule a queued flush with the new timer', done => {
+      // a timer that never fires, e.g. a discarded test scheduler
+      setNextTickTimer(() => {})
+      const spy = jasmine.createSpy()
+      nextTick(spy)
+      let flush = null
+      setNextTickTimer(fn => { flush = fn })
+      expect(typeof flush).toBe('function')
+      flush()
+      expect(spy).toHaveBeenCalled()
+      setNextTickTimer(null)
+      nextTick(done)
+    })
+
+    it('should be exposed on Vue', () => {
+      expect(Vue.setNextTickTimer).toBe(setNextTickTimer)
+      expect(Vue.flushNextTick).toBe(flushNextTick)
+    })
+  })
+
+  describe('flushNextTick', () => {
+    afterEach(() => {
+      setNextTickTimer(null)
+    })
+
+    it('should flush pending callbacks and the watcher queue', done => {
+      // a timer that never fires, everything is flushed manually
+      setNextTickTimer(() => {})
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>'
+      }).$mount()
+      const spy = jasmine.createSpy()
+      vm.a = 2
+      nextTick(() => {
+        nextTick(spy)
+      })
+      const resolved = jasmine.createSpy('resolved')
+      const promise = nextTick().then(resolved)
+      expect(vm.$el.textContent).toBe('1')
+      flushNextTick()
+      expect(vm.$el.textContent).toBe('2')
+      expect(spy).toHaveBeenCalled()
+      promise.then(() => {
+        expect(resolved).toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('should do nothing without pending callbacks', () => {
+      expect(() => flushNextTick()).not.toThrow()
+    })
+  })
 })
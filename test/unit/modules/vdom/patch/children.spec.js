@@ -508,6 +508,89 @@ describe('vdom patch: children', () => {
     expect(postPatch).toBe(original)
   })
 
+  describe('keyed moves', () => {
+    function range (n) {
+      const list = []
+      for (let i = 0; i < n; i++) list.push(i)
+      return list
+    }
+
+    // length of a longest increasing subsequence, the nodes that can stay
+    function lisLength (list) {
+      const lengths = list.map(() => 1)
+      for (let i = 0; i < list.length; i++) {
+        for (let j = 0; j < i; j++) {
+          if (list[j] < list[i]) lengths[i] = Math.max(lengths[i], lengths[j] + 1)
+        }
+      }
+      return Math.max(0, ...lengths)
+    }
+
+    // patches from `from` to `to` and returns the number of DOM insertions
+    function countMoves (from, to) {
+      const vnode1 = new VNode('div', {}, from.map(spanNum))
+      const vnode2 = new VNode('div', {}, to.map(spanNum))
+      const elm = patch(vnode0, vnode1)
+      const nodes = {}
+      from.forEach((n, i) => { nodes[n] = elm.children[i] })
+      spyOn(elm, 'insertBefore').and.callThrough()
+      spyOn(elm, 'appendChild').and.callThrough()
+      patch(vnode1, vnode2)
+      expect(map(inner, elm.children)).toEqual(to.map(String))
+      // moved nodes are reused
+      to.forEach((n, i) => {
+        if (n in nodes) expect(elm.children[i]).toBe(nodes[n])
+      })
+      return elm.insertBefore.calls.count() + elm.appendChild.calls.count()
+    }
+
+    it('should move a single node', () => {
+      const list = range(100)
+      expect(countMoves(list, list.slice(1).concat(0))).toBe(1)
+      expect(countMoves(list, [99].concat(list.slice(0, 99)))).toBe(1)
+      const moved = list.slice()
+      moved.splice(70, 0, moved.splice(20, 1)[0])
+      expect(countMoves(list, moved)).toBe(1)
+    })
+
+    it('should move the nodes out of the longest increasing subsequence', () => {
+      const list = range(50)
+      // a block moved to the end
+      expect(countMoves(list, list.slice(3).concat(0, 1, 2))).toBe(3)
+      // two swapped nodes
+      const swapped = list.slice()
+      swapped[10] = 40
+      swapped[40] = 10
+      expect(countMoves(list, swapped)).toBe(2)
+      expect(countMoves(list, list.slice().reverse())).toBe(49)
+    })
+
+    it('should only move the nodes out of place in random reorders', () => {
+      const list = range(100)
+      for (let i = 0; i < 5; i++) {
+        const shuffled = shuffle(list.slice())
+        expect(countMoves(list, shuffled)).toBe(100 - lisLength(shuffled))
+      }
+    })
+
+    it('should create and remove nodes among moved nodes', () => {
+      const from = [0, 1, 2, 3, 4, 5, 6, 7]
+      const to = [0, 6, 8, 3, 2, 9, 4, 7]
+      // 6 and one of 2 and 3 moved, 8 and 9 created
+      expect(countMoves(from, to)).toBe(4)
+    })
+
+    it('should match unkeyed nodes among keyed nodes', () => {
+      const vnode1 = new VNode('div', {}, [1, 'a', 2, 3].map(spanNum))
+      const vnode2 = new VNode('div', {}, [3, 2, 'a', 4].map(spanNum))
+      const elm = patch(vnode0, vnode1)
+      const text = elm.children[1]
+      patch(vnode1, vnode2)
+      expect(map(inner, elm.children)).toEqual(['3', '2', 'a', '4'])
+      expect(elm.children[2]).toBe(text)
+    })
+  })
+
   it('should warn with duplicate keys: createChildren', () => {
     function makeNode (key) {
       return new VNode('div', { key: key })
@@ -1,7 +1,8 @@
 import Vue from 'vue'
 import VNode from 'core/vdom/vnode'
 import { patch } from 'web/runtime/patch'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, SSR_SEGMENT_PREFIX, SSR_CLIENT_MARKER } from 'shared/constants'
+import { SWAP_SEGMENT, renderPlaceholder } from 'server/out-of-order'
 
 function createMockSSRDOM (innerHTML) {
   const dom = document.createElement('div')
@@ -355,6 +356,143 @@ describe('vdom patch: hydration', () => {
   })
 
   // #7063
+  it('should hydrate fragments', done => {
+    const dom = createMockSSRDOM('<!--[--><p>a</p><p>b</p><!--]--><span>end</span>')
+    const ps = dom.querySelectorAll('p')
+
+    const vm = new Vue({
+      data: { msg: 'b' },
+      template: '<div><test></test><span>end</span></div>',
+      components: {
+        test: {
+          template: '<p>a</p><p>{{ $parent.msg }}</p>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$children[0].$el).toBe(dom.firstChild)
+    vm.msg = 'c'
+    waitForUpdate(() => {
+      expect(dom.querySelectorAll('p')[1]).toBe(ps[1])
+      expect(dom.innerHTML).toBe('<!--[--><p>a</p><p>c</p><!--]--><span>end</span>')
+    }).then(done)
+  })
+
+  it('should hydrate teleports', done => {
+    const target = document.createElement('div')
+    target.innerHTML = '<p>a</p><!--teleport--><p>b</p><!--teleport-->'
+    const dom = createMockSSRDOM('<!--[--><!--]--><!--[--><!--]--><span>end</span>')
+    const ps = target.querySelectorAll('p')
+
+    const vm = new Vue({
+      data: { target, msg: 'b' },
+      template: '<div><teleport :to="target"><p>a</p></teleport><teleport :to="target"><p>{{ msg }}</p></teleport><span>end</span></div>'
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    vm.msg = 'c'
+    waitForUpdate(() => {
+      expect(target.querySelectorAll('p')[1]).toBe(ps[1])
+      expect(target.innerHTML).toBe('<p>a</p><!--teleport--><p>c</p><!--teleport-->')
+    }).then(done)
+  })
+
+  it('should hydrate suspense without rendering the fallback', done => {
+    const dom = createMockSSRDOM('<!--[--><!--[--><b>async</b><p>a</p><!--]--><!--[--><!--]--><!--]-->')
+    const p = dom.querySelector('p')
+    const resolved = jasmine.createSpy('resolve')
+
+    new Vue({
+      template: '<div><suspense @resolve="resolved"><async></async><p>a</p><template #fallback><i>loading</i></template></suspense></div>',
+      methods: { resolved },
+      components: {
+        async: () => Promise.resolve({ template: '<b>async</b>' })
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(dom.querySelector('p')).toBe(p)
+    waitForUpdate(() => {
+      expect(dom.innerHTML).not.toContain('loading')
+    }).thenWaitFor(20).then(() => {
+      expect(resolved).toHaveBeenCalled()
+      expect(dom.querySelector('p')).toBe(p)
+      expect(dom.textContent).toBe('asynca')
+    }).then(done)
+  })
+
+  it('should hydrate suspense content streamed out of order', done => {
+    const dom = createMockSSRDOM(
+      `<!--[-->${renderPlaceholder(0)}<!--[--><i>loading</i><!--]--><!--]-->`
+    )
+    document.body.appendChild(dom)
+    const resolved = jasmine.createSpy('resolve')
+
+    const vm = new Vue({
+      template: '<div><suspense @resolve="resolved"><p>{{ msg }}</p><template #fallback><i>loading</i></template></suspense></div>',
+      data: { msg: 'a' },
+      methods: { resolved }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(dom.textContent).toBe('loading')
+    // the segment streamed by the server after the page
+    const segment = document.createElement('template')
+    segment.id = SSR_SEGMENT_PREFIX + 's0'
+    segment.innerHTML = '<!--[--><p>a</p><!--]-->'
+    document.body.appendChild(segment)
+    // eslint-disable-next-line no-new-func
+    new Function(`${SWAP_SEGMENT}__vueSwap(0)`)()
+    const p = dom.querySelector('p')
+    expect(segment.parentNode).toBe(null)
+    expect(dom.textContent).toBe('aloading')
+    waitForUpdate(() => {}).thenWaitFor(10).then(() => {
+      expect(dom.querySelector('p')).toBe(p)
+      expect(dom.innerHTML).toBe('<!--[--><!--[--><p>a</p><!--]--><!--[--><!--]--><!--]-->')
+      expect(resolved).toHaveBeenCalled()
+      vm.msg = 'b'
+    }).then(() => {
+      expect(p.textContent).toBe('b')
+      document.body.removeChild(dom)
+    }).then(done)
+  })
+
+  it('should mount components that failed to render on the server', done => {
+    const marker = `<!--${SSR_CLIENT_MARKER}-->`
+    const dom = createMockSSRDOM(`<b>ok</b>${marker}<p>${marker}</p>`)
+    const p = dom.querySelector('p')
+    const mounted = jasmine.createSpy('mounted')
+    const broken = {
+      data: () => ({ msg: 'a' }),
+      mounted,
+      template: '<i>{{ msg }}</i>'
+    }
+
+    const vm = new Vue({
+      template: '<div><b>ok</b><broken></broken><p><wrap></wrap></p></div>',
+      components: {
+        broken,
+        // the failed component is the root of another one
+        wrap: {
+          template: '<broken></broken>',
+          components: { broken }
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(dom.querySelector('p')).toBe(p)
+    expect(dom.innerHTML).toBe('<b>ok</b><i>a</i><p><i>a</i></p>')
+    expect(mounted).toHaveBeenCalledTimes(2)
+    const wrap = vm.$children[1]
+    expect(wrap.$el).toBe(p.firstChild)
+    wrap.$children[0].msg = 'b'
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<b>ok</b><i>a</i><p><i>b</i></p>')
+    }).then(done)
+  })
+
   it('should properly initialize dynamic style bindings for future updates', done => {
     const dom = createMockSSRDOM('<div style="padding-left:0px"></div>')
 
@@ -0,0 +1,132 @@
+import Vue from 'vue'
+import { patch } from 'web/runtime/patch'
+import VNode from 'core/vdom/vnode'
+import { PatchFlags } from 'shared/constants'
+
+function mount (template, data) {
+  const { render, staticRenderFns } = Vue.compile(template, { patchFlags: true })
+  return new Vue({ data, render, staticRenderFns }).$mount()
+}
+
+describe('vdom patch: patch flags', () => {
+  it('should skip constant attrs, class and style', () => {
+    const data = (flag, id, title, color) => ({
+      attrs: { id, title },
+      staticClass: id,
+      staticStyle: { color },
+      patchFlag: flag,
+      dynamicProps: ['title'],
+      patchKey: 1
+    })
+    const vnode1 = new VNode('div', data(PatchFlags.PROPS, 'a', 'x', 'red'))
+    const vnode2 = new VNode('div', data(PatchFlags.PROPS, 'b', 'y', 'blue'))
+    const elm = patch(null, vnode1)
+    patch(vnode1, vnode2)
+    // declared as constant by the flags
+    expect(elm.id).toBe('a')
+    expect(elm.className).toBe('a')
+    expect(elm.style.color).toBe('red')
+    expect(elm.title).toBe('y')
+  })
+
+  it('should fully diff vnodes from different element data', () => {
+    const vnode1 = new VNode('div', { attrs: { id: 'a' }, patchFlag: 0, patchKey: 1 })
+    const vnode2 = new VNode('div', { attrs: { id: 'b' }, patchFlag: 0, patchKey: 2 })
+    const vnode3 = new VNode('div', { attrs: { id: 'c' } })
+    const elm = patch(null, vnode1)
+    patch(vnode1, vnode2)
+    expect(elm.id).toBe('b')
+    patch(vnode2, vnode3)
+    expect(elm.id).toBe('c')
+  })
+
+  it('should update dynamic parts', done => {
+    const vm = mount(
+      `<div class="static" :class="cls" :style="{ color: color }" :title="title">` +
+        `<input :value="value" type="text">` +
+        `<p>{{ msg }}</p>` +
+      `</div>`,
+      { cls: 'a', color: 'red', title: 't1', value: 'v1', msg: 'hello' }
+    )
+    expect(vm.$el.className).toBe('static a')
+    expect(vm.$el.style.color).toBe('red')
+    expect(vm.$el.title).toBe('t1')
+    expect(vm.$el.children[0].value).toBe('v1')
+    expect(vm.$el.children[1].textContent).toBe('hello')
+    vm.cls = 'b'
+    vm.color = 'blue'
+    vm.title = 't2'
+    vm.value = 'v2'
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(vm.$el.className).toBe('static b')
+      expect(vm.$el.style.color).toBe('blue')
+      expect(vm.$el.title).toBe('t2')
+      expect(vm.$el.children[0].value).toBe('v2')
+      expect(vm.$el.children[1].textContent).toBe('bye')
+    }).then(done)
+  })
+
+  it('should fully diff props with dynamic names', done => {
+    const vm = mount(`<div :[key].prop="value"></div>`, { key: 'id', value: 'hello' })
+    expect(vm.$el.id).toBe('hello')
+    vm.key = 'title'
+    waitForUpdate(() => {
+      expect(vm.$el.title).toBe('hello')
+      expect(vm.$el.id).toBe('')
+    }).then(done)
+  })
+
+  it('should patch unkeyed v-for children in place', done => {
+    const vm = mount(
+      `<ul><li v-for="item in list" :class="item">{{ item }}</li></ul>`,
+      { list: ['a', 'b', 'c'] }
+    )
+    const first = vm.$el.children[0]
+    expect(vm._vnode.data.patchFlag).toBe(PatchFlags.UNKEYED_FRAGMENT)
+    vm.list = ['c', 'a']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<li class="c">c</li><li class="a">a</li>')
+      expect(vm.$el.children[0]).toBe(first)
+      vm.list = ['c', 'a', 'b', 'd']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<li class="c">c</li><li class="a">a</li><li class="b">b</li><li class="d">d</li>'
+      )
+    }).then(done)
+  })
+
+  it('should patch keyed v-for children', done => {
+    const vm = mount(
+      `<ul><li v-for="item in list" :key="item">{{ item }}</li></ul>`,
+      { list: ['a', 'b'] }
+    )
+    const first = vm.$el.children[0]
+    expect(vm._vnode.data.patchFlag).toBe(PatchFlags.KEYED_FRAGMENT)
+    vm.list = ['b', 'a']
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('ba')
+      expect(vm.$el.children[1]).toBe(first)
+    }).then(done)
+  })
+
+  it('should handle elements reused across v-if branches', done => {
+    const vm = mount(
+      `<div>` +
+        `<p v-if="ok" id="a" class="a">{{ msg }}</p>` +
+        `<p v-else id="b" style="color:red">{{ msg }}</p>` +
+      `</div>`,
+      { ok: true, msg: 'x' }
+    )
+    const p = vm.$el.children[0]
+    expect(p.id).toBe('a')
+    vm.ok = false
+    waitForUpdate(() => {
+      // the same element is reused for the other branch
+      expect(vm.$el.children[0]).toBe(p)
+      expect(p.id).toBe('b')
+      expect(p.className).toBe('')
+      expect(p.style.color).toBe('red')
+    }).then(done)
+  })
+})
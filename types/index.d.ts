@@ -5,7 +5,13 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  Ref,
+  ComputedRef,
+  WritableComputedOptions,
+  WatchEffectOptions,
+  WatchEffectCleanup,
+  EffectScope
 } from "./vue";
 
 export {
@@ -20,6 +26,11 @@ export {
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
+  WatchFlush,
+  WatchSource,
+  WatchCleanupRegistrator,
+  DebuggerEvent,
+  DebuggerOptions,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
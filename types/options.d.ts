@@ -98,6 +98,8 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(e: DebuggerEvent): void;
+  renderTriggered?(e: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -120,6 +122,7 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  proxyObserver?: boolean;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -172,13 +175,37 @@ export interface ComputedOptions<T> {
 
 export type WatchHandler<T> = string | ((val: T, oldVal: T) => void);
 
-export interface WatchOptions {
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?: (e: DebuggerEvent) => void;
+  onTrigger?: (e: DebuggerEvent) => void;
+}
+
+export type WatchFlush = 'pre' | 'post' | 'sync';
+
+export interface WatchOptions extends DebuggerOptions {
   deep?: boolean;
   immediate?: boolean;
+  flush?: WatchFlush;
 }
 
+export type WatchSource = string | (() => any);
+
+export type WatchCleanupRegistrator = (fn: () => void) => void;
+
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
   handler: WatchHandler<T>;
+  // watch several sources at once, the handler receives arrays of values
+  // and an onCleanup function as third argument
+  sources?: WatchSource[];
 }
 
 export interface DirectiveBinding extends Readonly<VNodeDirective> {
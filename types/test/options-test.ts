@@ -172,6 +172,25 @@ Vue.component('component', {
     d: {
       handler: 'someMethod',
       immediate: true
+    },
+    e: {
+      handler: 'someMethod',
+      onTrack(e) {
+        e.target
+      },
+      onTrigger(e) {
+        e.type.toUpperCase()
+      }
+    },
+    f: {
+      handler: 'someMethod',
+      flush: 'sync'
+    },
+    g: {
+      sources: ['a', () => 1],
+      handler (vals, oldVals) {
+        vals.concat(oldVals)
+      }
     }
   },
   el: "#app",
@@ -258,6 +277,12 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked(e) {
+    e.key
+  },
+  renderTriggered(e) {
+    e.newValue
+  },
 
   directives: {
     a: {
@@ -3,7 +3,7 @@ import VueSSRClientPlugin = require('../../packages/vue-server-renderer/client-p
 import VueSSRServerPlugin = require('../../packages/vue-server-renderer/server-plugin');
 import webpack = require('webpack');
 import { readFileSync } from 'fs';
-import { createRenderer, createBundleRenderer } from '../../packages/vue-server-renderer';
+import { createRenderer, createBundleRenderer, RenderAbortedError, LRUCache } from '../../packages/vue-server-renderer';
 
 function createApp (context: any) {
   return new Vue({
@@ -54,12 +54,23 @@ renderer.renderToString(app, context)
     throw err;
   });
 
+renderer.renderToString(app, { timeout: 1000 })
+  .catch(err => {
+    if (err instanceof RenderAbortedError) {
+      const component: string | null = err.component;
+    }
+  });
+
 renderer.renderToStream(app, context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+renderer.renderToWebStream(app, context).getReader().read().then(({ value }) => {
+  const bytes: Uint8Array | undefined = value;
+});
+
 // Bundle renderer test
-declare const cacheClient: { [key: string]: string };
+declare const cacheClient: { [key: string]: any };
 
 const bundleRenderer = createBundleRenderer('/path/to/vue-ssr-server-bundle.json', {
   inject: false,
@@ -98,6 +109,24 @@ const bundleRenderer = createBundleRenderer('/path/to/vue-ssr-server-bundle.json
   }
 });
 
+const lruCache = new LRUCache({ max: 100, ttl: 60 * 1000 });
+lruCache.invalidate('product:1');
+lruCache.invalidate(['product:1', 'product:2']);
+
+createRenderer({
+  cache: lruCache
+});
+
+createRenderer({
+  cache: {
+    get: key => Promise.resolve(cacheClient[key]),
+    set: (key, val, ttl) => {
+      cacheClient[key] = val;
+      return Promise.resolve();
+    }
+  }
+});
+
 bundleRenderer.renderToString(context, (err, html) => {
   if (err) throw err;
   const res: string = html;
@@ -115,6 +144,8 @@ bundleRenderer.renderToStream(context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+bundleRenderer.renderToWebStream(context).pipeTo(new WritableStream<Uint8Array>());
+
 // webpack plugins
 webpack({
   plugins: [
@@ -44,6 +44,11 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch(() => this.a, (val: number) => {}, { flush: 'post' });
+    this.$watch(['a', () => this.a], (vals, oldVals, onCleanup) => {
+      onCleanup(() => {});
+      vals[0].toFixed();
+    }, { immediate: true })();
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -75,6 +80,8 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.proxyObserver = true
+    config.maxUpdateCount = 200
   }
 
   static testMethods() {
@@ -214,6 +221,40 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const state = Vue.reactive({ count: 0 })
+state.count++
+const shallowState = Vue.shallowReactive({ nested: { a: 1 } })
+shallowState.nested = { a: 2 }
+const frozenState = Vue.readonly({ a: 1 })
+const isFrozen: boolean = Vue.isReadonly(frozenState) && !Vue.isShallow(frozenState)
+const rawPayload = Vue.markRaw({ a: 1 })
+const countRef = Vue.ref(0)
+countRef.value++
+const double = Vue.computed(() => countRef.value * 2)
+const n: number = double.value + Vue.unref(countRef)
+const writable = Vue.computed({
+  get: () => countRef.value,
+  set: (val: number) => { countRef.value = val }
+})
+writable.value = 1
+const stopEffect = Vue.watchEffect(onCleanup => {
+  onCleanup(() => {})
+  return state.count
+}, { sync: true })
+stopEffect()
+Vue.watchEffect(() => state.count, { flush: 'post' })
+Vue.queuePostFlushCb(() => {})
+Vue.setNextTickTimer(flush => requestAnimationFrame(flush))
+Vue.setNextTickTimer(null)
+Vue.flushNextTick()
+
+const scope = Vue.effectScope()
+const scoped: number | undefined = scope.run(() => {
+  Vue.onScopeDispose(() => {})
+  return Vue.getCurrentScope() === scope ? 1 : 0
+})
+scope.stop()
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
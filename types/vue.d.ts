@@ -11,6 +11,9 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  DebuggerOptions,
+  WatchFlush,
+  WatchCleanupRegistrator
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
@@ -52,6 +55,11 @@ export interface Vue {
     callback: (this: this, n: T, o: T) => void,
     options?: WatchOptions
   ): (() => void);
+  $watch(
+    sources: (string | ((this: this) => any))[],
+    callback: (this: this, n: any[], o: any[], onCleanup: WatchCleanupRegistrator) => void,
+    options?: WatchOptions
+  ): (() => void);
   $on(event: string | string[], callback: Function): this;
   $once(event: string | string[], callback: Function): this;
   $off(event?: string | string[], callback?: Function): this;
@@ -64,6 +72,32 @@ export interface Vue {
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface ComputedRef<T = any> extends Ref<T> {
+  readonly effect: { teardown(): void } | null;
+}
+
+export interface WritableComputedOptions<T> {
+  get(): T;
+  set(value: T): void;
+}
+
+export interface WatchEffectOptions extends DebuggerOptions {
+  sync?: boolean;
+  flush?: WatchFlush;
+}
+
+export type WatchEffectCleanup = (fn: () => void) => void;
+
+export interface EffectScope {
+  readonly active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
 export interface VueConfiguration {
   silent: boolean;
   optionMergeStrategies: any;
@@ -74,6 +108,8 @@ export interface VueConfiguration {
   warnHandler(msg: string, vm: Vue, trace: string): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  proxyObserver: boolean;
+  maxUpdateCount: number;
   async: boolean;
 }
 
@@ -91,6 +127,9 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   nextTick<T>(callback: (this: T) => void, context?: T): void;
   nextTick(): Promise<void>
+  setNextTickTimer(timer: ((flush: () => void) => void) | null): void;
+  flushNextTick(): void;
+  queuePostFlushCb(callback: () => void): void;
   set<T>(object: object, key: string | number, value: T): T;
   set<T>(array: T[], key: number, value: T): T;
   delete(object: object, key: string | number): void;
@@ -120,6 +159,22 @@ export interface VueConstructor<V extends Vue = Vue> {
   };
 
   observable<T>(obj: T): T;
+  reactive<T extends object>(target: T): T;
+  shallowReactive<T extends object>(target: T): T;
+  readonly<T extends object>(target: T): Readonly<T>;
+  isReactive(value: any): boolean;
+  isShallow(value: any): boolean;
+  isReadonly(value: any): boolean;
+  markRaw<T extends object>(value: T): T;
+  ref<T>(value: T | Ref<T>): Ref<T>;
+  isRef(value: any): value is Ref;
+  unref<T>(ref: T | Ref<T>): T;
+  computed<T>(getter: () => T): ComputedRef<T>;
+  computed<T>(options: WritableComputedOptions<T>): ComputedRef<T>;
+  watchEffect(effect: (onCleanup: WatchEffectCleanup) => any, options?: WatchEffectOptions): () => void;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  onScopeDispose(fn: () => void): void;
 
   util: {
     warn(msg: string, vm?: InstanceType<VueConstructor>): void;